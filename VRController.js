@@ -36,6 +36,8 @@
 	1. Include THREE.VRController.update() in your animation loop and listen
 	   for controller connection events like so:
 	   window.addEventlistener('vr controller connected', (controller)=>{}).
+	   For WebXR pass your XRFrame and XRReferenceSpace along like so:
+	   THREE.VRController.update( frame, referenceSpace ).
 	2. When you receive a controller instance -- again, just an Object3D --
 	   you ought to set its standingMatrix property equal to your
 	   renderer.vr.getStandingMatrix(). If you are expecting a 3DOF controller
@@ -58,11 +60,14 @@
 THREE.VRController = function( gamepad ){
 
 	var
-	key, supported,
+	supported,
 	handedness  = '',
 	axes        = [],
-	axesMaps    = [],
+	axesRaw     = [],
+	axesMaps    = {},
 	buttons     = [],
+	buttonsVirtual = [],
+	dpadDirections = {},
 	buttonNames = [],
 	buttonNamePrimary
 
@@ -72,20 +77,25 @@ THREE.VRController = function( gamepad ){
 
 	//  ATTENTION !
 	//
-	//  You ought to overwrite these TWO special properties on the instance in
+	//  You ought to overwrite this special property on the instance in
 	//  your own code. For example for 6DOF controllers:
 	//    controller.standingMatrix = renderer.vr.getStandingMatrix()
-	//  And for 3DOF controllers:
+	//  3DOF controllers need to know where your head is. We read that
+	//  ourselves from the VR display (or WebXR viewer pose) but if you’d
+	//  rather use something else you can override it, like so:
 	//    controller.head = camera
 	//  Quick FYI: “DOF” means “Degrees of Freedom”. If you can rotate about 
 	//  3 axes and also move along 3 axes then 3 + 3 = 6 degrees of freedom.
 
 	this.standingMatrix = new THREE.Matrix4()
-	this.head = {
+	this.head = undefined
 
-		position:   new THREE.Vector3(),
-		quaternion: new THREE.Quaternion()
-	}
+
+	//  3DOF controllers guess where your hand is with an arm model sized
+	//  for an average adult standing up. Not you? Try
+	//  controller.setArmModel( 'seated' ) -- see Arm Model below.
+
+	this.armModelSettings = undefined
 
 
 	//  It is crucial that we have a reference to the actual gamepad.
@@ -98,6 +108,13 @@ THREE.VRController = function( gamepad ){
 	this.dof     = gamepad.pose ? 3 * ( +gamepad.pose.hasOrientation + +gamepad.pose.hasPosition ) : 0
 
 
+	//  Not every gamepad is a hand controller. An Xbox controller in your lap
+	//  has buttons, sticks, and rumble but no pose at all. (See
+	//  THREE.VRController.includeStandardGamepads.)
+
+	this.isStandardGamepad = THREE.VRController.isStandardGamepad( gamepad )
+
+
 	//  If the gamepad has a hapticActuators Array with something valid in
 	//  the first slot then we can send it an intensity (from 0 to 1) and a 
 	//  duration in milliseconds like so:
@@ -110,13 +127,26 @@ THREE.VRController = function( gamepad ){
 	//    this.setVibe( 'engine' ).set( 0.8 )
 	//      .wait(  500 ).set( 0.1 )
 	//      .wait( 1000 ).set( 0.0 )
+	//  Smooth ramps, envelopes, and whole named patterns too:
+	//    this.playVibe( 'heartbeat' )
+	//  Or let your sound design drive it, sample by sample:
+	//    this.setVibe( 'engine' ).analyser( engineAnalyserNode )
+	//  Got more than one motor? Aim a channel at just one of them:
+	//    this.setVibe( 'recoil' ).actuator( 'strong' ).set( 1 )
+	//  And this.haptics tells you what this device can actually do.
+	//  Channels can be given a priority, gain, or muted via configureVibe()
+	//  and this.vibeMix decides how they’re combined.
+	//  See Vibrate below for all of that.
 
 	const vibeChannel = []
 	vibeChannel.name = ''
 	vibeChannel.intensity = 0
 	this.vibeChannels = [ vibeChannel ]
 	this.vibeChannels.intensity = 0
-	this.vibeChannels.prior = 0
+	this.vibeChannels.prior = {}
+	this.vibeChannels.lastCommanded = {}
+	this.vibeConfig = {}
+	this.vibeMix = Object.assign({}, THREE.VRController.vibeMixDefaults )
 
 
 	//  Setup states so we can watch for change events.
@@ -127,12 +157,15 @@ THREE.VRController = function( gamepad ){
 
 	//  Note that the plural of axis is axes -- and that is not only a source
 	//  of confusion for non-native English speakers, it trips me up too.
-	//  First, let’s copy the Gamepad’s axes values into our own array.
+	//  First, let’s copy the Gamepad’s axes values into our own arrays.
+	//  We keep the raw values exactly as reported, and separately the
+	//  values after deadzones, response curves, etc. have been applied.
 
 	axes.byName = {}
 	gamepad.axes.forEach( function( axis, i ){
 
 		axes[ i ] = axis
+		axesRaw[ i ] = axis
 	})
 
 
@@ -155,16 +188,10 @@ THREE.VRController = function( gamepad ){
 	//  Do we recognize this type of controller based on its gamepad.id?
 	//  If not we’ll still roll with it, we just won’t have axes and buttons
 	//  mapped to convenience strings. No biggie.
-	//  Because Microsoft’s controller appends unique ID numbers to the end of
-	//  its ID string we can no longer just do this:
-	//  supported = THREE.VRController.supported[ gamepad.id ]
-	//  Instead we must loop through some object keys first.
-	
-	key = Object.keys( THREE.VRController.supported ).find( function( id ){
-	
-		if( gamepad.id.startsWith( id )) return true
-	})
-	supported = THREE.VRController.supported[ key ]
+	//  (See THREE.VRController.registerProfile() to teach us new ones.)
+
+	supported = THREE.VRController.getSupported( gamepad.id, gamepad.hand, gamepad )
+	this.profile = supported
 	if( supported !== undefined ){
 
 		this.style = supported.style
@@ -172,20 +199,88 @@ THREE.VRController = function( gamepad ){
 
 			supported.axes.forEach( function( axesMap ){
 
+
+				//  Firmware and browsers don’t always agree with our
+				//  profiles. If the gamepad is missing axes we skip
+				//  the pair rather than report NaNs.
+
+				if( axesMap.indexes.some( function( index ){ return index >= gamepad.axes.length })){
+
+					if( THREE.VRController.verbosity >= 0.5 ) console.log( '> #'+ gamepad.index +' '+ gamepad.id +' has no axes for "'+ axesMap.name +'"' )
+					return
+				}
 				axes.byName[ axesMap.name ] = axesMap.indexes
+				axesMaps[ axesMap.name ] = Object.assign( {}, THREE.VRController.axesDefaults, axesMap )
 			})
 		}
 		if( supported.buttons !== undefined ){
 
 			supported.buttons.forEach( function( buttonName, i ){
 
-				buttons[ i ].name = buttonName
+
+				//  A null here is a placeholder for a slot the device
+				//  doesn’t physically have, so it keeps its default name.
+				//  And a slot the gamepad doesn’t report is simply ignored.
+
+				if( buttonName !== null && buttons[ i ] !== undefined ) buttons[ i ].name = buttonName
 			})
 		}
 		buttonNamePrimary = supported.primary
 	}
 
 
+	//  What can we make this thing do? See Vibrate below.
+
+	this.failedHapticActuators = []
+	this.haptics = THREE.VRController.getHapticCapabilities( gamepad, supported, this.failedHapticActuators )
+
+
+	//  Jittery tracking? Smoothing is off unless this style of controller
+	//  (or you) turns it on. See Motion below.
+
+	this.smoothing = Object.assign( {},
+
+		THREE.VRController.smoothingDefaults,
+		supported !== undefined ? supported.smoothing : undefined,
+		THREE.VRController.smoothingStyles[ this.style ]
+	)
+	this.smoothingFilters = {
+
+		position:    new THREE.VRController.OneEuroFilter(),
+		orientation: new THREE.VRController.OneEuroFilter()
+	}
+
+
+	//  Precision tasks may prefer the pose exactly as tracked, so we always
+	//  keep it here, in the same space as controller.matrix, whether or not
+	//  the pose we use is smoothed.
+
+	this.rawMatrix     = new THREE.Matrix4()
+	this.rawPosition   = new THREE.Vector3()
+	this.rawQuaternion = new THREE.Quaternion()
+
+
+	//  What do we do when tracking is lost? And has it been?
+	//  See Tracking below.
+
+	this.trackingLoss = Object.assign( {}, THREE.VRController.trackingLossDefaults )
+	this.trackingLoss.restPosition    = this.trackingLoss.restPosition.slice()
+	this.trackingLoss.restOrientation = this.trackingLoss.restOrientation.slice()
+	this.trackingState = 'tracked'
+	this.isOrientationTracked = true
+	this.isPositionTracked = this.dof === 6
+	this.trackingLostAt = undefined
+	this.untrackedSince = undefined
+	this.trackingFade = []
+	this.trackingLossApplied = undefined
+
+
+	//  Fast swings lag behind without a little look ahead.
+	//  Also off unless you turn it on. See Motion below.
+
+	this.prediction = Object.assign( {}, THREE.VRController.predictionDefaults )
+
+
 	//  This will allow you to listen for 'primary press began', etc.
 	//  even if we don’t explicitly support this controller model.
 	//  Right now convention seems to be that button #0 will be a thumbpad
@@ -193,13 +288,95 @@ THREE.VRController = function( gamepad ){
 	//  If there is a trigger then that sits in slot #1 (Vive, Oculus,
 	//  Micrsoft) and becomes the primary button. But if there is no trigger
 	//  then the thumbpad becomes the primary button (Daydream, GearVR).
+	//  WebXR’s 'xr-standard' mapping is more explicit: slot #0 is ALWAYS
+	//  the primary trigger or button.
 
 	buttons.forEach( function( button ){
 
 		buttons.byName[ button.name ] = button
 	})
-	if( buttonNamePrimary === undefined ) buttonNamePrimary = gamepad.buttons.length > 1 ? 'button_1' : 'button_0'
-	buttons.byName[ buttonNamePrimary ].isPrimary = true
+	if( buttonNamePrimary === undefined || buttons.byName[ buttonNamePrimary ] === undefined ){
+
+
+		//  No buttons at all? Then there’s no primary button either.
+
+		if( buttons.length === 0 ) buttonNamePrimary = undefined
+		else if( gamepad.mapping === 'xr-standard' ) buttonNamePrimary = buttons[ 0 ].name
+		else buttonNamePrimary = buttons[ buttons.length > 1 ? 1 : 0 ].name
+	}
+	if( buttonNamePrimary !== undefined ) buttons.byName[ buttonNamePrimary ].isPrimary = true
+
+
+	//  Turn the raw values of a named axes pair into the values we report.
+
+	function processNamedAxes( axesName ){
+
+		var
+		values = axes.byName[ axesName ].map( function( index ){
+
+			return axesRaw[ index ]
+		}),
+		invert = axesMaps[ axesName ].invert
+
+
+		//  Some axes are “Goofy” -- Vive’s thumbpad Y-axis for one. Their
+		//  profiles say so with invert and we’ll INVERT them so you don’t
+		//  have to worry about it! (WebXR’s 'xr-standard' mapping already
+		//  corrects this for us.)
+
+		if( invert !== undefined && invert !== false &&
+			gamepad.mapping !== 'xr-standard' ){
+
+			values.forEach( function( value, i ){
+
+				if( invert === true || invert[ i ] === true ) values[ i ] = -value
+			})
+		}
+
+
+		//  Worn thumbsticks never quite return to zero, and twitchy ones
+		//  jitter constantly. Now’s our chance to apply deadzones and
+		//  response curves.
+
+		return THREE.VRController.processAxes( values, axesMaps[ axesName ])
+	}
+	Object.keys( axes.byName ).forEach( function( axesName ){
+
+		processNamedAxes( axesName ).forEach( function( value, i ){
+
+			axes[ axes.byName[ axesName ][ i ]] = value
+		})
+	})
+
+
+	//  Sometimes you just want a d-pad. For every named axes pair we create
+	//  virtual buttons like 'thumbstick up' or 'thumbpad down-left' that
+	//  press and release based on the axes values. They behave like every
+	//  other named button: 'thumbstick up press began', getButton(), etc.
+	//  (See THREE.VRController.axesDefaults for the dpad* settings.)
+
+	Object.keys( axes.byName ).forEach( function( axesName ){
+
+		if( axes.byName[ axesName ].length !== 2 ) return
+		THREE.VRController.DPAD_DIRECTIONS.forEach( function( direction ){
+
+			var button = {
+
+				name:      axesName +' '+ direction,
+				value:     0,
+				isTouched: false,
+				isPressed: false,
+				isPrimary: false,
+				isVirtual: true,
+				axesName:  axesName,
+				direction: direction
+			}
+
+			buttonsVirtual.push( button )
+			buttons.byName[ button.name ] = button
+		})
+		dpadDirections[ axesName ] = null
+	})
 
 
 	//  Let’s make some getters! 
@@ -227,6 +404,42 @@ THREE.VRController = function( gamepad ){
 		}
 		else if( typeof nameOrIndex === 'number' ) return axes[ nameOrIndex ]
 	}
+
+
+	//  The values above have had deadzones and response curves applied.
+	//  If you need exactly what the Gamepad reported, here you go.
+
+	this.getAxisRaw = function( index ){
+
+		return axesRaw[ index ]
+	}
+	this.getAxesRaw = function( nameOrIndex ){
+
+		if( nameOrIndex === undefined ) return axesRaw
+		else if( typeof nameOrIndex === 'string' ){
+
+			return axes.byName[ nameOrIndex ].map( function( index ){
+
+				return axesRaw[ index ]
+			})
+		}
+		else if( typeof nameOrIndex === 'number' ) return axesRaw[ nameOrIndex ]
+	}
+
+
+	//  Each named axes pair has its own deadzone, response curve, etc.
+	//  (See THREE.VRController.axesDefaults for what you can change.)
+	//  For example: controller.setAxesSettings( 'thumbstick', { deadzone: 0.2 })
+
+	this.getAxesSettings = function( name ){
+
+		return axesMaps[ name ]
+	}
+	this.setAxesSettings = function( name, settings ){
+
+		if( axesMaps[ name ] === undefined ) return
+		Object.assign( axesMaps[ name ], settings )
+	}
 	this.getButton = function( nameOrIndex ){
 
 		if( typeof nameOrIndex === 'string' ){
@@ -247,32 +460,43 @@ THREE.VRController = function( gamepad ){
 		'#'+ gamepad.index +': '+ gamepad.id +
 		'\n\tStyle: '+ this.style +
 		'\n\tDOF: '+ this.dof +
+		'\n\tTracking: '+ this.trackingState +
 		'\n\tHandedness: '+ handedness +
 		'\n\n\tAxes: '+ axes.reduce( function( a, e, i ){
 		
 			return a + e + ( i < axes.length - 1 ? ', ' : '' )
 		
 		}, '' ) +
+		'\n\tAxes raw: '+ axesRaw.join( ', ' ) +
 		'\n\n\tButton primary: "'+ buttonNamePrimary +'"'+
-		'\n\tButtons:'+ buttons.reduce( function( a, e ){ return (
+		'\n\tButtons:'+ buttons.concat( buttonsVirtual ).reduce( function( a, e ){ return (
 		
 			a +
 			'\n\t\tName: "'+ e.name +'"'+
 			'\n\t\t\tValue:     '+ e.value +
 			'\n\t\t\tisTouched: '+ e.isTouched +
 			'\n\t\t\tisPressed: '+ e.isPressed +
-			'\n\t\t\tisPrimary: '+ e.isPrimary
+			'\n\t\t\tisPrimary: '+ e.isPrimary +
+			( e.isVirtual ? '\n\t\t\tisVirtual: true' : '' )
 		
 		)}, '' ) +
-		'\n\n\tVibration intensity: '+ this.vibeChannels.intensity +
+		'\n\n\tHaptics: '+ ( this.haptics.supported ? this.haptics.targets.join( ', ' ) : 'none' ) +
+		'\n\tVibration intensity: '+ this.vibeChannels.intensity +
+		'\n\tVibration mix: '+ this.vibeMix.mode + ( this.vibeMix.mode === 'priority' ? ' (ducking '+ this.vibeMix.ducking +')' : '' ) +
 		'\n\tVibration channels:'+ this.vibeChannels.reduce( function( a, e ){ return (
 		
 			a +
 			'\n\t\tName: "'+ e.name +'"'+
+			( e.actuator !== undefined ? '\n\t\t\tActuator: '+ e.actuator : '' ) +
+			( e.source !== undefined ? '\n\t\t\tSource: '+ e.source.type : '' ) +
+			( e.priority !== undefined ? '\n\t\t\tPriority: '+ e.priority : '' ) +
+			( e.gain !== undefined ? '\n\t\t\tGain: '+ e.gain : '' ) +
+			( e.muted ? '\n\t\t\tMuted: true' : '' ) +
 			'\n\t\t\tCurrent intensity: '+ e.intensity +
 			e.reduce( function( a2, e2 ){ return (
 
-				a2 + '\n\t\t\tat time '+ e2[ 0 ] +' intensity = '+ e2[ 1 ]
+				a2 + '\n\t\t\tat time '+ e2[ 0 ] +' intensity = '+ e2[ 1 ] +
+				( e2[ 2 ] !== undefined && e2[ 2 ] !== 'step' ? ' ('+ ( typeof e2[ 2 ] === 'string' ? e2[ 2 ] : 'custom' ) +')' : '' )
 			
 			)}, '' )
 		
@@ -289,7 +513,8 @@ THREE.VRController = function( gamepad ){
 		controller     = this,
 		controllerInfo = '> #'+ controller.gamepad.index +' '+ controller.gamepad.id +' (Handedness: '+ handedness +') ',
 		axesNames      = Object.keys( axes.byName ),
-		axesChanged    = false
+		axesChanged    = false,
+		eventAction
 
 
 		//  Did the handedness change?
@@ -309,29 +534,42 @@ THREE.VRController = function( gamepad ){
 
 			axesNames.forEach( function( axesName ){
 
-				var axesValues  = []
+				var
+				indexes    = axes.byName[ axesName ],
+				settings   = axesMaps[ axesName ],
+				rawValues  = [],
+				axesValues = []
 
 				axesChanged = false
-				axes.byName[ axesName ].forEach( function( index ){
+				indexes.forEach( function( index ){
 
-					if( gamepad.axes[ index ] !== axes[ index ]){
+					if( gamepad.axes[ index ] !== axesRaw[ index ]){
 
 						axesChanged = true
-						axes[ index ] = gamepad.axes[ index ]
+						axesRaw[ index ] = gamepad.axes[ index ]
 					}
-					axesValues.push( axes[ index ])
+					rawValues.push( axesRaw[ index ])
 				})
 				if( axesChanged ){
 
 
-					//  Vive’s thumbpad is the only controller axes that uses 
-					//  a “Goofy” Y-axis. We’re going to INVERT it so you
-					//  don’t have to worry about it!
+					//  We only report a change if it’s bigger than
+					//  this axes’ epsilon. (See processNamedAxes above.)
+
+					axesValues = processNamedAxes( axesName )
+					if( THREE.VRController.axesDiffer( axesValues, indexes.map( function( index ){
+
+						return axes[ index ]
+
+					}), settings.epsilon )){
 
-					if( controller.style === 'vive' && axesName === 'thumbpad' ) axesValues[ 1 ] *= -1
+						indexes.forEach( function( index, i ){
 
-					if( verbosity >= 0.7 ) console.log( controllerInfo + axesName +' axes changed', axesValues )
-					controller.dispatchEvent({ type: axesName +' axes changed', axes: axesValues })
+							axes[ index ] = axesValues[ i ]
+						})
+						if( verbosity >= 0.7 ) console.log( controllerInfo + axesName +' axes changed', axesValues )
+						controller.dispatchEvent({ type: axesName +' axes changed', axes: axesValues, raw: rawValues })
+					}
 				}
 			})
 		}
@@ -343,16 +581,16 @@ THREE.VRController = function( gamepad ){
 
 			gamepad.axes.forEach( function( axis, i ){
 
-				if( axis !== axes[ i ]){
+				if( axis !== axesRaw[ i ]){
 
 					axesChanged = true
-					axes[ i ] = axis
+					axes[ i ] = axesRaw[ i ] = axis
 				}
 			})
 			if( axesChanged ){
 
 				if( verbosity >= 0.7 ) console.log( controllerInfo +'axes changed', axes )
-				controller.dispatchEvent({ type: 'axes changed', axes: axes })
+				controller.dispatchEvent({ type: 'axes changed', axes: axes, raw: axesRaw })
 			}
 		}
 
@@ -408,7 +646,105 @@ THREE.VRController = function( gamepad ){
 				if( isPrimary ) controller.dispatchEvent({ type: 'primary press '+ eventAction })
 			}
 		})
+
+
+		//  Now that axes and real buttons are up to date
+		//  we can work out our virtual d-pad buttons.
+
+		Object.keys( dpadDirections ).forEach( function( axesName ){
+
+			var
+			settings  = axesMaps[ axesName ],
+			values    = controller.getAxes( axesName ),
+			current   = dpadDirections[ axesName ],
+			next      = THREE.VRController.getDpadDirection( values, current, settings ),
+			activator = buttons.byName[ axesName ],
+			activation = settings.dpadActivation
+
+
+			//  Thumbpads report axes values even when you’re not touching
+			//  them, so by default they only count while touched. If you’d
+			//  rather they behave like a real d-pad you can require a click.
+
+			if( activation === 'auto' ) activation = axesName === 'thumbpad' ? 'touch' : 'always'
+			if( activator !== undefined &&
+				(( activation === 'touch' && !activator.isTouched ) ||
+				 ( activation === 'click' && !activator.isPressed ))) next = null
+			if( next === current ) return
+			dpadDirections[ axesName ] = next
+
+
+			//  Let go of the old direction BEFORE pressing the new one.
+
+			if( current !== null ) setDpadButton( buttons.byName[ axesName +' '+ current ], false )
+			if( next    !== null ) setDpadButton( buttons.byName[ axesName +' '+ next ], true )
+		})
+		function setDpadButton( button, isPressed ){
+
+			button.isPressed = button.isTouched = isPressed
+			button.value = +isPressed
+			eventAction = isPressed ? 'began' : 'ended'
+			if( verbosity >= 0.5 ) console.log( controllerInfo + button.name +' press '+ eventAction )
+			controller.dispatchEvent({ type: button.name +' press '+ eventAction })
+		}
+	}
+
+
+	//  Switched hands? Our arm model (if we need one) switches with us.
+
+	this.addEventListener( 'hand changed', function( event ){
+
+		if( this.armModel !== undefined ) this.armModel.setLeftHanded( event.hand === 'left' )
+	})
+
+
+	//  Thumbpads can do more than report axes values.
+	//  See Gestures below for swipes, flings, and scrolling.
+
+	if( axes.byName.thumbpad !== undefined && buttons.byName.thumbpad !== undefined ){
+
+		this.thumbpadGestures = new THREE.VRController.ThumbpadGestures( this )
+	}
+
+
+	//  Where has this controller been, and how fast is it moving?
+	//  See Motion below.
+
+	this.poseHistory = new THREE.VRController.PoseHistory()
+
+
+	//  updatePose() runs every frame so it works in these rather than
+	//  making new vectors and quaternions each time.
+
+	this.poseScratch = {
+
+		position:    new THREE.Vector3(),
+		quaternion:  new THREE.Quaternion(),
+		scale:       new THREE.Vector3(),
+		orientation: new THREE.Quaternion(),
+
+
+		//  And these are for getRestMatrix() when tracking is lost.
+
+		restPosition:   new THREE.Vector3(),
+		restQuaternion: new THREE.Quaternion(),
+		restHeading:    new THREE.Quaternion(),
+		restEuler:      new THREE.Euler(),
+		up:             new THREE.Vector3( 0, 1, 0 )
 	}
+
+
+	//  Double presses, long presses, and so on for every named button.
+	//  See Gestures below for those too.
+
+	this.buttonPatterns = new THREE.VRController.ButtonPatterns( this,
+
+		buttons.concat( buttonsVirtual ).map( function( button ){
+
+			return button.name
+
+		}).concat( 'primary' )
+	)
 }
 THREE.VRController.prototype = Object.create( THREE.Object3D.prototype )
 THREE.VRController.prototype.constructor = THREE.VRController
@@ -421,9 +757,65 @@ THREE.VRController.prototype.constructor = THREE.VRController
 
 THREE.VRController.prototype.update = function(){
 
+
+	//  Are we still being tracked? If so, or if our trackingLoss.policy
+	//  says to go somewhere else entirely, update the pose. Otherwise we stay
+	//  right where we are. (See Tracking below.)
+
+	//  Standard gamepads have no pose to track, so they stay put.
+
+	var now = THREE.VRController.now()
+
+	if( !this.isStandardGamepad && this.updateTracking( now )) this.updatePose( now )
+
+
+	//  Poll for changes in handedness, axes, and button states.
+	//  If there’s a change this function fires the appropriate event.
+
+	this.pollForChanges()
+	this.buttonPatterns.update()
+
+
+	//  Pointing at things? (See Pointer below.)
+
+	if( this.pointer !== undefined ) this.pointer.update()
+
+
+	//  Holding things? (See Grab below.)
+
+	if( this.grabber !== undefined ) this.grabber.update()
+
+
+	//  Showing off our buttons? (See Model below.)
+
+	if( this.model !== undefined ) this.model.update()
+
+
+	//  Do we have haptics? Do we have haptic channels? Let’s vibrate!
+
+	this.applyVibes()
+
+
+	//  If you’ve ever wanted to run the same function over and over --
+	//  once per update loop -- now’s your big chance.
+
+	if( typeof this.updateCallback === 'function' ) this.updateCallback()
+}
+
+
+//  Work out where this controller is -- tracked, arm modeled, or resting --
+//  then smooth, record, and predict that pose.
+
+THREE.VRController.prototype.updatePose = function( now ){
+
 	var
 	gamepad = this.gamepad,
-	pose = gamepad.pose
+	pose = gamepad.pose,
+	smoothing  = this.smoothing,
+	scratch    = this.poseScratch,
+	position   = scratch.position,
+	quaternion = scratch.quaternion,
+	scale      = scratch.scale
 
 
 	//  ORIENTATION.
@@ -436,12 +828,19 @@ THREE.VRController.prototype.update = function(){
 	if( pose.orientation !== null ) this.quaternion.fromArray( pose.orientation )
 
 
+	//  LOST!
+	//  If we’re here without tracking it’s because trackingLoss.policy is
+	//  'rest', so we head to a resting spot down by your side.
+
+	if( this.trackingState !== 'tracked' ) this.getRestMatrix( this.matrix )
+
+
 	//  POSITION -- EXISTS!
 	//  If we have position data then we can assume we also have orientation
 	//  because this is the expected behavior of 6DOF controllers.
 	//  If we don’t have orientation it will just use the previous orientation data.
 
-	if( pose.position !== null ){
+	else if( pose.position !== null ){
 
 		this.position.fromArray( pose.position )
 		this.matrix.compose( this.position, this.quaternion, this.scale )
@@ -451,8 +850,7 @@ THREE.VRController.prototype.update = function(){
 	//  POSITION -- NOPE ;(
 	//  But if we don’t have position data we’ll assume our controller is only 3DOF
 	//  and use an arm model that takes head position and orientation into account.
-	//  So don’t forget to set controller.head to reference your VR camera so we can
-	//  do the following math.
+	//  (See Head below for where we get that from.)
 
 	else {
 
@@ -463,7 +861,8 @@ THREE.VRController.prototype.update = function(){
 		if( this.armModel === undefined ){
 
 			if( THREE.VRController.verbosity >= 0.5 ) console.log( '> #'+ gamepad.index +' '+ gamepad.id +' (Handedness: '+ this.getHandedness() +') adding OrientationArmModel' )
-			this.armModel = new OrientationArmModel()
+			this.armModel = new OrientationArmModel( this.armModelSettings )
+			this.armModel.setLeftHanded( this.getHandedness() === 'left', true )
 		}
 
 
@@ -471,9 +870,9 @@ THREE.VRController.prototype.update = function(){
 		//  with the head (camera) position and orientation
 		//  and use its output to predict where the this is.
 
-		this.armModel.setHeadPosition( this.head.position )
-		this.armModel.setHeadOrientation( this.head.quaternion )
-		this.armModel.setControllerOrientation(( new THREE.Quaternion() ).fromArray( pose.orientation ))
+		this.armModel.setHeadPosition( this.getHead().position )
+		this.armModel.setHeadOrientation( this.getHead().quaternion )
+		this.armModel.setControllerOrientation( scratch.orientation.fromArray( pose.orientation ))
 		this.armModel.update()
 		this.matrix.compose(
 
@@ -495,326 +894,4495 @@ THREE.VRController.prototype.update = function(){
 	//  you hold in your hands.
 
 	this.matrix.multiplyMatrices( this.standingMatrix, this.matrix )
-	this.matrixWorldNeedsUpdate = true
-
-
-	//  Poll for changes in handedness, axes, and button states.
-	//  If there’s a change this function fires the appropriate event.
+	this.matrix.decompose( position, quaternion, scale )
+	this.rawMatrix.copy( this.matrix )
+	this.rawPosition.copy( position )
+	this.rawQuaternion.copy( quaternion )
 
-	this.pollForChanges()
 
+	//  Smooth out tracking jitter if asked to. (See Motion below.)
+	//  Filters start fresh whenever smoothing is switched back on.
 
-	//  Do we have haptics? Do we have haptic channels? Let’s vibrate!
+	if( smoothing.enabled ){
 
-	this.applyVibes()
+		this.smoothingFilters.position.filter( position, now, smoothing.positionMinCutoff, smoothing.positionBeta, smoothing.derivativeCutoff )
+		this.smoothingFilters.orientation.filter( quaternion, now, smoothing.orientationMinCutoff, smoothing.orientationBeta, smoothing.derivativeCutoff )
+		this.matrix.compose( position, quaternion, scale )
+	}
+	else {
 
+		this.smoothingFilters.position.reset()
+		this.smoothingFilters.orientation.reset()
+	}
+	this.matrixWorldNeedsUpdate = true
 
-	//  If you’ve ever wanted to run the same function over and over --
-	//  once per update loop -- now’s your big chance.
 
-	if( typeof this.updateCallback === 'function' ) this.updateCallback()
-}
+	//  Remember this pose so we can work out velocities later.
+	//  (See Motion below.)
 
+	this.poseHistory.push( now, position, quaternion )
 
 
+	//  Swinging fast? Move to where we expect the hand to be by the time
+	//  this frame reaches your eyes. The history above keeps the pose as
+	//  tracked so predictions never feed on themselves.
 
-    /////////////////
-   //             //
-  //   Vibrate   //
- //             //
-/////////////////
+	if( this.prediction.enabled ){
 
+		this.getPredictedPose( now + this.prediction.horizon, scratch )
+		this.matrix.compose( position, quaternion, scale )
+	}
+}
 
-THREE.VRController.VIBE_TIME_MAX = 5 * 1000
-THREE.VRController.prototype.setVibe = function( name, intensity ){
 
-	if( typeof name === 'number' && intensity === undefined ){
+//  Where do we expect this controller to be at some future time?
+//  Uses controller.prediction’s window and maxHorizon.
+//  Returns { time, position, quaternion } in the same space as
+//  controller.matrix, or undefined if we have no pose history yet.
 
-		intensity = name
-		name = ''
-	}
-	if( typeof name === 'string' ){
+THREE.VRController.prototype.getPredictedPose = function( time, target ){
 
-		const 
-		controller = this,
-		o = {}
+	return this.poseHistory.predict( time, target, this.prediction.window, this.prediction.maxHorizon )
+}
 
 
-		//  If this channel does not exist yet we must create it,
-		//  otherwise we want to remove any future commands 
-		//  while careful NOT to delete the ‘intensity’ property.
 
-		let channel = controller.vibeChannels.find( function( channel ){
 
-			return channel.name === name
-		})
-		if( channel === undefined ){
+    //////////////////
+   //              //
+  //   Gestures   //
+ //              //
+//////////////////
 
-			channel = []
-			channel.name = name
-			channel.intensity = 0
-			controller.vibeChannels.push( channel )
-		}
-		else channel.splice( 0 )
 
+//  Daydream, Vive, Oculus Go, and Microsoft’s controllers all have a touch-
+//  sensitive thumbpad, and that’s good for a lot more than raw axes values.
+//  While your thumb is on the pad we watch where it goes and emit:
+//
+//    'thumbpad swipe left' / 'right' / 'up' / 'down'
+//        A quick, mostly straight stroke across the pad.
+//    'thumbpad fling'
+//        Your thumb left the pad while still moving fast. The event has
+//        velocity: [ x, y ] in axes units per second, plus speed.
+//    'thumbpad scroll'
+//        Circling the rim like an old click wheel. The event has delta
+//        and total in radians; positive is clockwise.
+//
+//  We listen to the controller’s own 'thumbpad axes changed' events so our
+//  values already have Vive’s “Goofy” Y-axis corrected: up is ALWAYS -1.
+//  Tune any of the thresholds below per controller, for example:
+//  controller.thumbpadGestures.swipeDistance = 0.8
 
-		//  If we received a valid intensity then we should apply it now,
-		//  but if not we’ll just hold on to the previously reported intensity.
-		//  This allows us to reselect a channel and apply a wait() command
-		//  before applying an initial set() command!
+THREE.VRController.ThumbpadGestures = function( controller ){
 
-		if( typeof intensity === 'number' ) channel.intensity = intensity
-		else {
+	var gestures = this
 
-			if( typeof channel.intensity === 'number' ) intensity = channel.intensity
+	this.controller = controller
 
-			
-			//  But if we’re SOL then we need to default to zero.
 
-			else intensity = 0
-		}
+	//  Swipes must travel at least this far (the whole pad is 2 units
+	//  across) and be over within this many milliseconds.
 
-		let cursor = window.performance.now()
-		o.set = function( intensity ){
+	this.swipeDistance = 0.6
+	this.swipeDuration = 500
 
-			channel.push([ cursor, intensity ])
-			return o
-		}
-		o.wait = function( duration ){
 
-			cursor += duration
-			return o
-		}
-		return o
-	}
-}
-THREE.VRController.prototype.renderVibes = function(){
+	//  Release speed in axes units per second, measured over the
+	//  last flingWindow milliseconds before your thumb lifted.
 
+	this.flingSpeed  = 3
+	this.flingWindow = 60
 
-	//  First we need to clear away any past-due commands,
-	//  and update the current intensity value.
 
-	const 
-	now = window.performance.now(),
-	controller = this
+	//  Scrolling only counts around the rim, not through the middle.
 
-	controller.vibeChannels.forEach( function( channel ){
+	this.scrollRadius = 0.5
 
-		while( channel.length && now > channel[ 0 ][ 0 ]){
+	this.samples = []
+	this.isTouched = false
+	this.scrollAngle = null
+	this.scrollTotal = 0
+	controller.addEventListener( 'thumbpad touch began', function(){
 
-			channel.intensity = channel[ 0 ][ 1 ]
-			channel.shift()
-		}
-		if( typeof channel.intensity !== 'number' ) channel.intensity = 0
+		gestures.touchBegan()
 	})
+	controller.addEventListener( 'thumbpad axes changed', function( event ){
 
+		gestures.axesChanged( event.axes )
+	})
+	controller.addEventListener( 'thumbpad touch ended', function(){
 
-	//  Now each channel knows its current intensity so we can sum those values.
-	
-	const sum = Math.min( 1, Math.max( 0, 
-	
-		this.vibeChannels.reduce( function( sum, channel ){
-	
-			return sum + +channel.intensity
-	
-		}, 0 )
-	))
-	this.vibeChannels.intensity = sum
-	return sum
+		gestures.touchEnded()
+	})
 }
-THREE.VRController.prototype.applyVibes = function(){
+THREE.VRController.ThumbpadGestures.prototype.touchBegan = function(){
 
-	if( this.gamepad.hapticActuators && 
-		this.gamepad.hapticActuators[ 0 ]){
+	this.isTouched = true
+	this.samples = []
+	this.scrollAngle = null
+	this.scrollTotal = 0
 
-		const
-		renderedIntensity = this.renderVibes(),
-		now = window.performance.now()
 
-		if( renderedIntensity !== this.vibeChannels.prior ||
-			now - this.vibeChannels.lastCommanded > THREE.VRController.VIBE_TIME_MAX / 2 ){
+	//  Axes events fire before button events, so if your thumb landed
+	//  and registered a position in the same update we already missed it.
+	// (Axes from any earlier update are from before your thumb landed.)
 
-			this.vibeChannels.lastCommanded = now
-			this.gamepad.hapticActuators[ 0 ].pulse( renderedIntensity, THREE.VRController.VIBE_TIME_MAX )
-			this.vibeChannels.prior = renderedIntensity
-		}
-	}
+	if( this.lastAxes !== undefined &&
+		this.lastAxesFrame === THREE.VRController.frame ) this.axesChanged( this.lastAxes )
 }
+THREE.VRController.ThumbpadGestures.prototype.axesChanged = function( axes ){
+
+	var
+	x = axes[ 0 ],
+	y = axes[ 1 ],
+	angle, delta
+
+	this.lastAxes = axes
+	this.lastAxesFrame = THREE.VRController.frame
+
+
+	//  Most thumbpads snap back to exactly [ 0, 0 ] when you let go,
+	//  and that usually arrives a moment BEFORE the touch ended event.
+	//  That’s not a real sample so we’ll skip it.
+
+	if( this.isTouched === false || ( x === 0 && y === 0 )) return
+	this.samples.push({ x: x, y: y, time: THREE.VRController.now() })
+
+
+	//  Scroll wheel. We compare the angle around the center of the pad
+	//  with the previous one, taking care to wrap around ±180˚.
+
+	if( Math.sqrt( x * x + y * y ) >= this.scrollRadius ){
+
+		angle = Math.atan2( y, x )
+		if( this.scrollAngle !== null ){
+
+			delta = angle - this.scrollAngle
+			if( delta >  Math.PI ) delta -= Math.PI * 2
+			if( delta < -Math.PI ) delta += Math.PI * 2
+			this.scrollTotal += delta
+			this.dispatch({ type: 'thumbpad scroll', delta: delta, total: this.scrollTotal })
+		}
+		this.scrollAngle = angle
+	}
+	else this.scrollAngle = null
+}
+THREE.VRController.ThumbpadGestures.prototype.touchEnded = function(){
+
+	var
+	samples = this.samples,
+	first   = samples[ 0 ],
+	last    = samples[ samples.length - 1 ],
+	flingStart, dx, dy, dt, distance, velocity, speed, direction
+
+	this.isTouched = false
+	if( samples.length < 2 ) return
+
+
+	//  Fling: how fast were we moving right as we let go?
+
+	flingStart = samples.find( function( sample ){
+
+		return last.time - sample.time <= this.flingWindow
+
+	}, this )
+	dt = ( last.time - flingStart.time ) / 1000
+	if( dt > 0 ){
+
+		velocity = [( last.x - flingStart.x ) / dt, ( last.y - flingStart.y ) / dt ]
+		speed = Math.sqrt( velocity[ 0 ] * velocity[ 0 ] + velocity[ 1 ] * velocity[ 1 ])
+		if( speed >= this.flingSpeed ){
+
+			this.dispatch({ type: 'thumbpad fling', velocity: velocity, speed: speed })
+		}
+	}
+
+
+	//  Swipe: did we get far enough fast enough, without going in circles?
+
+	dx = last.x - first.x
+	dy = last.y - first.y
+	distance = Math.sqrt( dx * dx + dy * dy )
+	if( distance >= this.swipeDistance &&
+		last.time - first.time <= this.swipeDuration &&
+		Math.abs( this.scrollTotal ) < Math.PI / 2 ){
+
+		if( Math.abs( dx ) > Math.abs( dy )) direction = dx > 0 ? 'right' : 'left'
+		else direction = dy > 0 ? 'down' : 'up'
+		this.dispatch({
+
+			type: 'thumbpad swipe '+ direction,
+			direction: direction,
+			distance:  distance,
+			duration:  last.time - first.time
+		})
+	}
+}
+THREE.VRController.ThumbpadGestures.prototype.dispatch = function( event ){
+
+	var gamepad = this.controller.gamepad
+
+	if( THREE.VRController.verbosity >= 0.5 ) console.log( '> #'+ gamepad.index +' '+ gamepad.id +' (Handedness: '+ this.controller.getHandedness() +') '+ event.type )
+	this.controller.dispatchEvent( event )
+}
+
+
+//  Stop hand-rolling timers around 'press began' and 'press ended'!
+//  For every named button -- including 'primary' and our virtual d-pad
+//  buttons -- we emit:
+//
+//    '<name> double press'
+//        A second press began soon after the first one.
+//    '<name> long press'
+//        Held down for a while. Fires once per press.
+//    '<name> press repeat'
+//        Held down, fires over and over like a key on your keyboard.
+//        The event has count, starting at 1.
+//
+//  And for any chords you ask for:
+//
+//    controller.buttonPatterns.addChord([ 'grip', 'trigger' ])
+//
+//  we emit 'grip+trigger press began' once all of those buttons are down
+//  and 'grip+trigger press ended' as soon as any one of them lets go.
+//  Timing windows (in milliseconds) can be tuned per controller, like so:
+//  controller.buttonPatterns.longPressDuration = 1000
+
+THREE.VRController.ButtonPatterns = function( controller, names ){
+
+	var patterns = this
+
+	this.controller = controller
+
+
+	//  The second press must begin within this long of the first.
+
+	this.doublePressWindow = 300
+
+
+	//  How long you have to hold for a long press.
+
+	this.longPressDuration = 600
+
+
+	//  How long before we start repeating, then how often.
+
+	this.repeatDelay    = 500
+	this.repeatInterval = 100
+
+
+	//  All buttons of a chord must go down within this long of each other.
+	//  Set it to Infinity if you’d like holding grip and THEN pulling the
+	//  trigger to count as a chord too.
+
+	this.chordWindow = 250
+
+	this.states = {}
+	this.chords = []
+	names.forEach( function( name ){
+
+		patterns.states[ name ] = {
+
+			isPressed:       false,
+			pressBeganAt:    null,
+			lastPressAt:     null,
+			longPressFired:  false,
+			repeatCount:     0
+		}
+		controller.addEventListener( name +' press began', function(){
+
+			patterns.pressBegan( name )
+		})
+		controller.addEventListener( name +' press ended', function(){
+
+			patterns.pressEnded( name )
+		})
+	})
+}
+THREE.VRController.ButtonPatterns.prototype.addChord = function( names ){
+
+	var patterns = this
+
+	names.forEach( function( name ){
+
+		if( patterns.states[ name ] === undefined ) throw new Error( 'THREE.VRController.ButtonPatterns: there is no button named "'+ name +'" to make a chord with.' )
+	})
+	this.chords.push({
+
+		name:     names.join( '+' ),
+		names:    names.slice(),
+		isActive: false
+	})
+	return this
+}
+THREE.VRController.ButtonPatterns.prototype.removeChord = function( names ){
+
+	var name = names.join( '+' )
+
+	this.chords = this.chords.filter( function( chord ){
+
+		return chord.name !== name
+	})
+	return this
+}
+THREE.VRController.ButtonPatterns.prototype.pressBegan = function( name ){
+
+	var
+	patterns = this,
+	state = this.states[ name ],
+	now = THREE.VRController.now()
+
+	state.isPressed = true
+	state.pressBeganAt = now
+	state.longPressFired = false
+	state.repeatCount = 0
+
+
+	//  Once a double press fires we forget the first press,
+	//  otherwise a triple press would count as two doubles.
+
+	if( state.lastPressAt !== null && now - state.lastPressAt <= this.doublePressWindow ){
+
+		state.lastPressAt = null
+		this.dispatch({ type: name +' double press' })
+	}
+	else state.lastPressAt = now
+
+
+	//  Does this complete a chord?
+
+	this.chords.forEach( function( chord ){
+
+		var times
+
+		if( chord.isActive || chord.names.indexOf( name ) < 0 ) return
+		if( chord.names.every( function( name ){ return patterns.states[ name ].isPressed }) === false ) return
+		times = chord.names.map( function( name ){ return patterns.states[ name ].pressBeganAt })
+		if( Math.max.apply( Math, times ) - Math.min.apply( Math, times ) > patterns.chordWindow ) return
+		chord.isActive = true
+		patterns.dispatch({ type: chord.name +' press began' })
+	})
+}
+THREE.VRController.ButtonPatterns.prototype.pressEnded = function( name ){
+
+	var patterns = this
+
+	this.states[ name ].isPressed = false
+	this.chords.forEach( function( chord ){
+
+		if( chord.isActive && chord.names.indexOf( name ) > -1 ){
+
+			chord.isActive = false
+			patterns.dispatch({ type: chord.name +' press ended' })
+		}
+	})
+}
+
+
+//  Long presses and repeats happen while NOTHING is changing,
+//  so we need to check on them with every update.
+
+THREE.VRController.ButtonPatterns.prototype.update = function(){
+
+	var
+	patterns = this,
+	now = THREE.VRController.now()
+
+	Object.keys( this.states ).forEach( function( name ){
+
+		var
+		state = patterns.states[ name ],
+		held
+
+		if( state.isPressed === false ) return
+		held = now - state.pressBeganAt
+		if( state.longPressFired === false && held >= patterns.longPressDuration ){
+
+			state.longPressFired = true
+			patterns.dispatch({ type: name +' long press', duration: held })
+		}
+
+
+		//  If updates were slow to arrive (hidden tab, anyone?) we skip
+		//  ahead rather than firing a burst of repeats all at once.
+
+		if( held >= patterns.repeatDelay + state.repeatCount * patterns.repeatInterval ){
+
+			state.repeatCount = Math.floor(( held - patterns.repeatDelay ) / patterns.repeatInterval ) + 1
+			patterns.dispatch({ type: name +' press repeat', count: state.repeatCount })
+		}
+	})
+}
+THREE.VRController.ButtonPatterns.prototype.dispatch = THREE.VRController.ThumbpadGestures.prototype.dispatch
+
+
+
+
+    /////////////////
+   //             //
+  //   Actions   //
+ //             //
+/////////////////
+
+
+//  Your game shouldn’t care whether 'teleport' means the thumbpad on a Vive,
+//  the A button on an Oculus Touch, or the thumbpad on a Daydream. Declare
+//  abstract actions once, with bindings for each controller style (the
+//  same style strings used in THREE.VRController.supported) plus a default:
+//
+//    THREE.VRController.addActionSet( 'explore', {
+//
+//      teleport: { type: 'button',  bindings: { vive: 'thumbpad', oculus: [ 'A', 'X' ], default: 'primary' }},
+//      grab:     { type: 'button',  bindings: { default: 'grip' }},
+//      move:     { type: 'vector2', bindings: { vive: 'thumbpad', default: 'thumbstick' }},
+//      zoom:     { type: 'button',  bindings: { default: { all: [ 'left:grip', 'right:grip' ]}}}
+//    })
+//    THREE.VRController.setActionSet( 'explore' )
+//
+//  Then listen for 'teleport began', 'teleport ended', 'move changed', and
+//  so on, or ask controller.getAction( 'move' ) whenever you like.
+//
+//  Action types:
+//    'button'   Is it on or off? Value is the button’s value.
+//    'axis'     A single number, from an analog button like a trigger.
+//    'vector2'  An [ x, y ] pair from a named axes pair.
+//  Analog actions are “on” (and fire 'began') whenever they’re non-zero.
+//
+//  Bindings:
+//    'trigger'                   A named button or axes on this controller.
+//    'left:grip'                 ...on whichever controller is in that hand.
+//    [ 'A', 'X' ]                Any one of these will do.
+//    { all: [ 'grip', 'A' ]}     All of these at once. Mix in 'left:' and
+//                                'right:' to make bindings span both hands.
+//
+//  A binding that names a hand for everything it reads is the same no
+//  matter which controller asks, so only the controller in the first hand
+//  it names fires its events. Zoom above fires on the left controller only.
+
+THREE.VRController.ACTION_TYPES = [ 'button', 'axis', 'vector2' ]
+THREE.VRController.actionSets = {}
+THREE.VRController.actionSet  = null
+THREE.VRController.addActionSet = function( name, actions ){
+
+	Object.keys( actions ).forEach( function( actionName ){
+
+		var action = actions[ actionName ]
+
+		if( THREE.VRController.ACTION_TYPES.indexOf( action.type ) < 0 ){
+
+			throw new Error( 'THREE.VRController.addActionSet: action "'+ actionName +'" has unknown type "'+ action.type +'". Expected one of: '+ THREE.VRController.ACTION_TYPES.join( ', ' ))
+		}
+		if( action.bindings === undefined ){
+
+			throw new Error( 'THREE.VRController.addActionSet: action "'+ actionName +'" has no bindings.' )
+		}
+	})
+	THREE.VRController.actionSets[ name ] = actions
+}
+
+
+//  Switching sets by game mode? Anything active in the old set
+//  will get its 'ended' event on the next update.
+
+THREE.VRController.setActionSet = function( name ){
+
+	if( name !== null && THREE.VRController.actionSets[ name ] === undefined ){
+
+		throw new Error( 'THREE.VRController.setActionSet: there is no action set named "'+ name +'".' )
+	}
+	THREE.VRController.actionSet = name
+}
+
+
+//  Figure out the current state of a single binding for this controller.
+//  Returns { isActive, value } where value is a Number, or an [ x, y ]
+//  Array for axes pairs.
+
+THREE.VRController.prototype.readBinding = function( binding, type ){
+
+	var
+	controller = this,
+	match, target, name, button, values, results
+
+	if( Array.isArray( binding ) || ( binding !== null && typeof binding === 'object' )){
+
+		results = ( Array.isArray( binding ) ? binding : binding.all ).map( function( binding ){
+
+			return controller.readBinding( binding, type )
+		})
+		if( Array.isArray( binding )){
+
+			return results.find( function( result ){ return result.isActive }) || results[ 0 ] || { isActive: false, value: 0 }
+		}
+		if( results.every( function( result ){ return result.isActive })){
+
+			return results.reduce( function( a, b ){
+
+				return typeof b.value === 'number' && b.value < a.value ? b : a
+			})
+		}
+		return { isActive: false, value: 0 }
+	}
+
+
+	//  Which hand are we talking about?
+
+	match  = /^(left|right):(.+)$/.exec( binding )
+	target = controller
+	name   = binding
+	if( match !== null ){
+
+		name = match[ 2 ]
+		target = THREE.VRController.controllers.find( function( controller ){
+
+			return controller !== undefined && controller.getHandedness() === match[ 1 ]
+		})
+		if( target === undefined ) return { isActive: false, value: 0 }
+	}
+
+
+	//  Oculus’s thumbstick is both a button AND an axes pair, so we
+	//  use what the action type asks for: vector2 prefers the axes.
+
+	button = target.getButton( name )
+	if( target.getAxesSettings( name ) !== undefined && ( type === 'vector2' || button === undefined )){
+
+		values = target.getAxes( name )
+		return {
+
+			isActive: values.some( function( value ){ return value !== 0 }),
+			value: values
+		}
+	}
+	if( button !== undefined ) return { isActive: type === 'button' ? button.isPressed : button.value !== 0, value: button.value }
+	return { isActive: false, value: 0 }
+}
+
+
+//  Which hand owns this binding? If every part of it names a hand we
+//  return the first one, otherwise undefined: it’s read per controller.
+
+THREE.VRController.getBindingHand = function( binding ){
+
+	var hands, match
+
+	if( Array.isArray( binding ) || ( binding !== null && typeof binding === 'object' )){
+
+		hands = ( Array.isArray( binding ) ? binding : binding.all ).map( THREE.VRController.getBindingHand )
+		return hands.length > 0 && hands.every( function( hand ){ return hand !== undefined }) ? hands[ 0 ] : undefined
+	}
+	match = /^(left|right):/.exec( binding )
+	return match !== null ? match[ 1 ] : undefined
+}
+
+
+//  We check actions only after EVERY controller has been updated,
+//  that way bindings that span both hands are never a frame behind.
+
+THREE.VRController.pollActions = function(){
+
+	THREE.VRController.controllers.forEach( function( controller ){
+
+		if( controller !== undefined ) controller.pollActions()
+	})
+}
+THREE.VRController.prototype.getAction = function( name ){
+
+	return this.actionStates !== undefined ? this.actionStates[ name ] : undefined
+}
+THREE.VRController.prototype.pollActions = function(){
+
+	var
+	controller = this,
+	setName = THREE.VRController.actionSet,
+	actions = THREE.VRController.actionSets[ setName ],
+	gamepad = this.gamepad,
+	controllerInfo = '> #'+ gamepad.index +' '+ gamepad.id +' (Handedness: '+ this.getHandedness() +') '
+
+	function dispatch( state, eventAction ){
+
+		if( THREE.VRController.verbosity >= 0.5 ) console.log( controllerInfo + state.name +' '+ eventAction, state.value )
+		controller.dispatchEvent({ type: state.name +' '+ eventAction, action: state, value: state.value })
+	}
+
+
+	//  New action set? Let go of everything from the old one first.
+
+	if( this.actionSetName !== setName ){
+
+		if( this.actionStates !== undefined ){
+
+			Object.keys( this.actionStates ).forEach( function( name ){
+
+				var state = controller.actionStates[ name ]
+
+				if( state.isActive ){
+
+					state.isActive = false
+					state.value = state.type === 'vector2' ? [ 0, 0 ] : 0
+					dispatch( state, 'ended' )
+				}
+			})
+		}
+		this.actionSetName = setName
+		this.actionStates = {}
+		if( actions === undefined ) return
+		Object.keys( actions ).forEach( function( name ){
+
+			controller.actionStates[ name ] = {
+
+				name:     name,
+				type:     actions[ name ].type,
+				isActive: false,
+				value:    actions[ name ].type === 'vector2' ? [ 0, 0 ] : 0
+			}
+		})
+	}
+	if( actions === undefined ) return
+	Object.keys( actions ).forEach( function( name ){
+
+		var
+		action   = actions[ name ],
+		state    = controller.actionStates[ name ],
+		binding  = action.bindings[ controller.style ] !== undefined ? action.bindings[ controller.style ] : action.bindings.default,
+		hand     = THREE.VRController.getBindingHand( binding ),
+		result   = binding !== undefined && ( hand === undefined || hand === controller.getHandedness()) ?
+			controller.readBinding( binding, action.type ) :
+			{ isActive: false, value: 0 },
+		value    = result.value,
+		changed
+
+
+		//  Make sure the value is the right shape for this type of action.
+
+		if( action.type === 'vector2' ){
+
+			value = Array.isArray( value ) ? [ value[ 0 ] || 0, value[ 1 ] || 0 ] : [ 0, 0 ]
+			changed = value[ 0 ] !== state.value[ 0 ] || value[ 1 ] !== state.value[ 1 ]
+		}
+		else {
+
+			if( Array.isArray( value )) value = value[ 0 ]
+			changed = value !== state.value
+		}
+		state.value = value
+		if( result.isActive !== state.isActive ){
+
+			state.isActive = result.isActive
+			dispatch( state, state.isActive ? 'began' : 'ended' )
+		}
+		if( changed ) dispatch( state, 'changed' )
+	})
+}
+
+
+
+
+    /////////////////
+   //             //
+  //   Pointer   //
+ //             //
+/////////////////
+
+
+//  Point at things! A Pointer raycasts from the controller into whatever
+//  objects you give it on each update and dispatches events right on the
+//  THREE.Object3D that was hit:
+//
+//    'pointer enter', 'pointer leave', 'pointer move',
+//    'pointer down', 'pointer up'
+//
+//  Each event carries the controller, point (world space), distance, and
+//  the raw THREE.Raycaster intersection. 'pointer up' is dispatched on the
+//  same object that received 'pointer down' so dragging things works.
+//
+//    const pointer = new THREE.VRController.Pointer( controller, {
+//
+//      objects: [ torus ],
+//      button:  'primary'
+//    })
+//    torus.addEventListener( 'pointer enter', function( event ){ ... })
+//
+//  For WebXR controllers we use the input source’s target ray, which is
+//  where the browser thinks you’re pointing, rather than its grip.
+
+THREE.VRController.Pointer = function( controller, options ){
+
+	if( options === undefined ) options = {}
+	this.controller  = controller
+	this.objects     = options.objects   !== undefined ? options.objects   : []
+	this.recursive   = options.recursive !== undefined ? options.recursive : true
+	this.button      = options.button    !== undefined ? options.button    : 'primary'
+	this.far         = options.far       !== undefined ? options.far       : 10
+	this.raycaster   = new THREE.Raycaster()
+	this.intersection = null
+	this.hovered     = null
+	this.pressed     = null
+	this.isPressed   = false
+
+
+	//  Our visuals live in their own container, which sits exactly where
+	//  the ray starts. That’s the controller itself for WebVR.
+
+	this.object = new THREE.Object3D()
+	this.object.matrixAutoUpdate = false
+	controller.add( this.object )
+
+
+	//  The ray is one unit long and gets stretched to the hit distance.
+
+	this.ray = new THREE.Line(
+
+		new THREE.BufferGeometry().addAttribute( 'position', new THREE.Float32BufferAttribute([ 0, 0, 0, 0, 0, -1 ], 3 )),
+		new THREE.LineBasicMaterial({ color: options.color !== undefined ? options.color : 0xFFFFFF })
+	)
+	this.ray.visible = options.showRay !== false
+	this.object.add( this.ray )
+
+
+	//  The reticle grows with distance so it always looks the same size.
+
+	this.reticle = new THREE.Mesh(
+
+		new THREE.RingGeometry( 0.006, 0.01, 24 ),
+		new THREE.MeshBasicMaterial({ color: options.color !== undefined ? options.color : 0xFFFFFF, side: THREE.DoubleSide })
+	)
+	this.reticle.visible = false
+	this.showReticle = options.showReticle !== false
+	this.object.add( this.reticle )
+
+
+	//  We never want to point at our own pointer.
+
+	this.ray.raycast = this.reticle.raycast = function(){}
+	controller.pointer = this
+
+
+	//  We aim the ray every frame; these save making new math objects to do it.
+
+	this.scratch = {
+
+		matrix:     new THREE.Matrix4(),
+		origin:     new THREE.Vector3(),
+		direction:  new THREE.Vector3(),
+		position:   new THREE.Vector3(),
+		quaternion: new THREE.Quaternion(),
+		scale:      new THREE.Vector3( 1, 1, 1 )
+	}
+}
+THREE.VRController.Pointer.prototype.update = function(){
+
+	var
+	controller = this.controller,
+	rayPose    = controller.gamepad.targetRayPose,
+	scratch    = this.scratch,
+	rayMatrix  = scratch.matrix,
+	origin     = scratch.origin,
+	direction  = scratch.direction.set( 0, 0, -1 ),
+	hit, hovered, button, isPressed, distance
+
+
+	//  Where does the ray start? For WebXR that’s the target ray pose.
+	//  We find where it sits relative to the raw grip pose and then hang it
+	//  off the controller, so if the controller is smoothed so is the ray.
+
+	controller.updateMatrixWorld()
+	if( rayPose !== undefined && rayPose !== null ){
+
+		rayMatrix.compose(
+
+			scratch.position.fromArray( rayPose.position ),
+			scratch.quaternion.fromArray( rayPose.orientation ),
+			scratch.scale
+		)
+		rayMatrix.multiplyMatrices( controller.standingMatrix, rayMatrix )
+		this.object.matrix.getInverse( controller.rawMatrix ).multiply( rayMatrix )
+	}
+	else this.object.matrix.identity()
+	rayMatrix.multiplyMatrices( controller.matrixWorld, this.object.matrix )
+	this.object.updateMatrixWorld( true )
+	origin.setFromMatrixPosition( rayMatrix )
+	direction.transformDirection( rayMatrix )
+	this.raycaster.set( origin, direction )
+	this.raycaster.far = this.far
+	hit = this.raycaster.intersectObjects( this.objects, this.recursive )[ 0 ]
+	this.intersection = hit !== undefined ? hit : null
+	hovered = hit !== undefined ? hit.object : null
+
+
+	//  Enter, leave, move.
+
+	if( hovered !== this.hovered ){
+
+		if( this.hovered !== null ) this.dispatch( this.hovered, 'pointer leave', null )
+		if( hovered !== null ) this.dispatch( hovered, 'pointer enter', hit )
+		this.hovered = hovered
+	}
+	else if( hovered !== null ) this.dispatch( hovered, 'pointer move', hit )
+
+
+	//  Down and up.
+
+	button = controller.getButton( this.button )
+	isPressed = button !== undefined && button.isPressed
+	if( isPressed !== this.isPressed ){
+
+		this.isPressed = isPressed
+		if( isPressed ){
+
+			this.pressed = hovered
+			if( hovered !== null ) this.dispatch( hovered, 'pointer down', hit )
+		}
+		else {
+
+			if( this.pressed !== null ) this.dispatch( this.pressed, 'pointer up', hovered === this.pressed ? hit : null )
+			this.pressed = null
+		}
+	}
+
+
+	//  Stretch the ray to whatever we hit, and put the reticle on it.
+
+	distance = hit !== undefined ? hit.distance : this.far
+	this.ray.scale.set( 1, 1, distance )
+	this.reticle.visible = this.showReticle && hit !== undefined
+	this.reticle.position.set( 0, 0, -distance )
+	this.reticle.scale.setScalar( distance )
+}
+THREE.VRController.Pointer.prototype.dispatch = function( object, type, intersection ){
+
+	object.dispatchEvent({
+
+		type:         type,
+		controller:   this.controller,
+		pointer:      this,
+		intersection: intersection,
+		point:        intersection !== null ? intersection.point : null,
+		distance:     intersection !== null ? intersection.distance : null
+	})
+}
+THREE.VRController.Pointer.prototype.setObjects = function( objects ){
+
+	this.objects = objects
+	return this
+}
+
+
+//  Done pointing? This removes our visuals from the controller.
+
+THREE.VRController.Pointer.prototype.dispose = function(){
+
+	if( this.hovered !== null ) this.dispatch( this.hovered, 'pointer leave', null )
+	this.controller.remove( this.object )
+	this.ray.geometry.dispose()
+	this.ray.material.dispose()
+	this.reticle.geometry.dispose()
+	this.reticle.material.dispose()
+	if( this.controller.pointer === this ) this.controller.pointer = undefined
+}
+
+
+
+
+    ////////////////
+   //            //
+  //   Motion   //
+ //            //
+////////////////
+
+
+//  Every update we record where this controller is -- the same pose you’d
+//  get from controller.matrix, so tracking space for 6DOF controllers and
+//  the arm model’s guess for 3DOF ones -- into a ring buffer of timestamps,
+//  positions, and quaternions. From that we can tell you how fast a hand is
+//  moving, how fast it’s speeding up, and where it was a moment ago:
+//
+//    controller.poseHistory.getLinearVelocity()      //  Meters per second.
+//    controller.poseHistory.getAngularVelocity()     //  Radians per second.
+//    controller.poseHistory.getLinearAcceleration()
+//    controller.poseHistory.getAngularAcceleration()
+//    controller.poseHistory.getPoseAt( THREE.VRController.now() - 100 )
+//
+//  Each of these takes an optional target to write into, so you needn’t
+//  create garbage every frame. Single frames are noisy so velocities are
+//  averaged over the most recent controller.poseHistory.window milliseconds
+//  (or however many you pass as the second argument). Keep more (or fewer)
+//  samples around with controller.poseHistory.setLength( 180 ).
+
+THREE.VRController.PoseHistory = function( length, duration ){
+
+	this.samples = []
+	this.start   = 0
+	this.size    = 0
+	this.window  = duration !== undefined ? duration : 50
+	this.setLength( length !== undefined ? length : THREE.VRController.PoseHistory.defaultLength )
+
+
+	//  Predicting runs every frame, so it works in these.
+
+	this.scratch = {
+
+		linearVelocity:  new THREE.Vector3(),
+		angularVelocity: new THREE.Vector3(),
+		acceleration:    new THREE.Vector3(),
+		earlier:         new THREE.Vector3(),
+		rotation:        new THREE.Quaternion()
+	}
+}
+
+
+//  How many samples each new PoseHistory keeps by default.
+//  At 90 frames per second that’s a little over one second.
+
+THREE.VRController.PoseHistory.defaultLength = 100
+
+
+//  A quaternion that takes from to to in the given number of seconds,
+//  expressed as an axis scaled by radians per second. The difference
+//  between the two is worked out in deltaQuaternion, which we reuse.
+
+THREE.VRController.PoseHistory.deltaQuaternion = new THREE.Quaternion()
+THREE.VRController.PoseHistory.getAngularVelocity = function( from, to, seconds, target ){
+
+	var delta, angle, sine
+
+	if( target === undefined ) target = new THREE.Vector3()
+	target.set( 0, 0, 0 )
+	if( seconds > 0 ){
+
+		delta = THREE.VRController.PoseHistory.deltaQuaternion.copy( from ).inverse().premultiply( to )
+		if( delta.w < 0 ) delta.set( -delta.x, -delta.y, -delta.z, -delta.w )
+		angle = 2 * Math.acos( Math.min( 1, delta.w ))
+		sine  = Math.sqrt( 1 - delta.w * delta.w )
+		if( sine > 0.0001 ) target.set( delta.x, delta.y, delta.z ).divideScalar( sine ).multiplyScalar( angle / seconds )
+	}
+	return target
+}
+
+
+//  Changing the length keeps as many of the most recent samples as will fit.
+
+THREE.VRController.PoseHistory.prototype.setLength = function( length ){
+
+	var
+	kept = [],
+	i
+
+	if( length < 2 ) throw new Error( 'THREE.VRController.PoseHistory.setLength: length must be at least 2, got '+ length +'.' )
+	for( i = Math.min( this.size, length ) - 1; i >= 0; i -- ) kept.push( this.get( i ))
+	while( kept.length < length ){
+
+		kept.push({ time: 0, position: new THREE.Vector3(), quaternion: new THREE.Quaternion() })
+	}
+	this.samples = kept
+	this.start   = 0
+	this.size    = Math.min( this.size, length )
+	this.length  = length
+	return this
+}
+THREE.VRController.PoseHistory.prototype.clear = function(){
+
+	this.start = 0
+	this.size  = 0
+	return this
+}
+THREE.VRController.PoseHistory.prototype.push = function( time, position, quaternion ){
+
+	var sample
+
+	if( this.size < this.length ){
+
+		sample = this.samples[ ( this.start + this.size ) % this.length ]
+		this.size ++
+	}
+	else {
+
+		sample = this.samples[ this.start ]
+		this.start = ( this.start + 1 ) % this.length
+	}
+	sample.time = time
+	sample.position.copy( position )
+	sample.quaternion.copy( quaternion )
+	return this
+}
+
+
+//  Zero is the most recent sample, 1 the one before that, and so on.
+//  Samples are reused as the buffer wraps around so copy what you keep!
+
+THREE.VRController.PoseHistory.prototype.get = function( index ){
+
+	if( index < 0 || index >= this.size ) return undefined
+	return this.samples[ ( this.start + this.size - 1 - index ) % this.length ]
+}
+
+
+//  The index of the most recent sample at least duration milliseconds older
+//  than the one at index, or failing that the oldest sample we have.
+
+THREE.VRController.PoseHistory.prototype.getIndexBefore = function( index, duration ){
+
+	var
+	time = this.get( index ).time - duration,
+	i
+
+	for( i = index + 1; i < this.size - 1; i ++ ){
+
+		if( this.get( i ).time <= time ) return i
+	}
+	return this.size - 1
+}
+THREE.VRController.PoseHistory.prototype.getLinearVelocity = function( target, duration, index ){
+
+	var newer, older, seconds
+
+	if( target === undefined ) target = new THREE.Vector3()
+	if( duration === undefined ) duration = this.window
+	if( index  === undefined ) index  = 0
+	target.set( 0, 0, 0 )
+	if( this.size - index < 2 ) return target
+	newer = this.get( index )
+	older = this.get( this.getIndexBefore( index, duration ))
+	seconds = ( newer.time - older.time ) / 1000
+	if( seconds > 0 ) target.subVectors( newer.position, older.position ).divideScalar( seconds )
+	return target
+}
+THREE.VRController.PoseHistory.prototype.getAngularVelocity = function( target, duration, index ){
+
+	var newer, older
+
+	if( target === undefined ) target = new THREE.Vector3()
+	if( duration === undefined ) duration = this.window
+	if( index  === undefined ) index  = 0
+	target.set( 0, 0, 0 )
+	if( this.size - index < 2 ) return target
+	newer = this.get( index )
+	older = this.get( this.getIndexBefore( index, duration ))
+	return THREE.VRController.PoseHistory.getAngularVelocity(
+
+		older.quaternion,
+		newer.quaternion,
+		( newer.time - older.time ) / 1000,
+		target
+	)
+}
+
+
+//  Acceleration compares the velocity over the latest window
+//  to the velocity over the window just before it.
+
+THREE.VRController.PoseHistory.prototype.getAcceleration = function( getter, target, duration ){
+
+	var
+	earlier = this.scratch.earlier,
+	index, seconds
+
+	if( target === undefined ) target = new THREE.Vector3()
+	if( duration === undefined ) duration = this.window
+	target.set( 0, 0, 0 )
+	if( this.size < 3 ) return target
+	index = Math.min( this.getIndexBefore( 0, duration ), this.size - 2 )
+	seconds = ( this.get( 0 ).time - this.get( index ).time ) / 1000
+	if( seconds > 0 ){
+
+		getter.call( this, earlier, duration, index )
+		getter.call( this, target, duration, 0 ).sub( earlier ).divideScalar( seconds )
+	}
+	return target
+}
+THREE.VRController.PoseHistory.prototype.getLinearAcceleration = function( target, duration ){
+
+	return this.getAcceleration( this.getLinearVelocity, target, duration )
+}
+THREE.VRController.PoseHistory.prototype.getAngularAcceleration = function( target, duration ){
+
+	return this.getAcceleration( this.getAngularVelocity, target, duration )
+}
+
+
+//  Where were we at this time? We interpolate between the two samples
+//  either side of it. Asking about a time before our oldest sample (or
+//  after our newest) gets you that oldest (or newest) sample’s pose.
+//  Returns { time, position, quaternion } or undefined if we have no
+//  samples yet.
+
+THREE.VRController.PoseHistory.prototype.getPoseAt = function( time, target ){
+
+	var newer, older, alpha, i
+
+	if( this.size === 0 ) return undefined
+	if( target === undefined ) target = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }
+	newer = this.get( 0 )
+	older = newer
+	for( i = 1; i < this.size && older.time > time; i ++ ){
+
+		newer = older
+		older = this.get( i )
+	}
+	alpha = newer.time > older.time ? ( time - older.time ) / ( newer.time - older.time ) : 1
+	alpha = Math.max( 0, Math.min( 1, alpha ))
+	target.time = older.time + ( newer.time - older.time ) * alpha
+	target.position.copy( older.position ).lerp( newer.position, alpha )
+	THREE.Quaternion.slerp( older.quaternion, newer.quaternion, target.quaternion, alpha )
+	return target
+}
+
+
+//  And where will we be? We extrapolate from the newest sample using
+//  velocities over the last duration milliseconds, looking no further ahead
+//  than maxHorizon milliseconds. Times in the past fall back to getPoseAt().
+//
+//  A hand coming to rest is decelerating, so rather than let a stale
+//  velocity carry it past where it stops we assume that deceleration holds
+//  steady. Then the furthest we’ll ever predict is the stopping point.
+//  Speeding up is NOT extrapolated -- that way lies overshoot.
+
+THREE.VRController.PoseHistory.prototype.predict = function( time, target, duration, maxHorizon ){
+
+	var
+	newest = this.get( 0 ),
+	linearVelocity  = this.scratch.linearVelocity,
+	angularVelocity = this.scratch.angularVelocity,
+	acceleration    = this.scratch.acceleration,
+	seconds, speed, angle, axis
+
+	if( newest === undefined ) return undefined
+	if( time <= newest.time ) return this.getPoseAt( time, target )
+	if( target === undefined ) target = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }
+	if( maxHorizon !== undefined ) time = Math.min( time, newest.time + maxHorizon )
+	seconds = ( time - newest.time ) / 1000
+	target.time = time
+
+
+	//  Position.
+
+	this.getLinearVelocity( linearVelocity, duration )
+	this.getLinearAcceleration( acceleration, duration )
+	speed = linearVelocity.length()
+	target.position.copy( newest.position ).addScaledVector(
+
+		linearVelocity,
+		THREE.VRController.PoseHistory.getTravelTime( speed, acceleration.dot( linearVelocity ) / ( speed || 1 ), seconds )
+	)
+
+
+	//  Orientation, rotating about the angular velocity’s axis.
+
+	this.getAngularVelocity( angularVelocity, duration )
+	this.getAngularAcceleration( acceleration, duration )
+	speed = angularVelocity.length()
+	angle = speed * THREE.VRController.PoseHistory.getTravelTime( speed, acceleration.dot( angularVelocity ) / ( speed || 1 ), seconds )
+	target.quaternion.copy( newest.quaternion )
+	if( angle > 0 ){
+
+		axis = angularVelocity.divideScalar( speed )
+		target.quaternion.premultiply( this.scratch.rotation.setFromAxisAngle( axis, angle ))
+	}
+	return target
+}
+
+
+//  Moving at speed with this much acceleration along our direction of
+//  travel, for how many seconds at our CURRENT speed would we cover the
+//  same distance we’ll really cover in the given seconds?
+
+THREE.VRController.PoseHistory.getTravelTime = function( speed, acceleration, seconds ){
+
+	var deceleration = -acceleration
+
+	if( speed <= 0 || deceleration <= 0 ) return seconds
+	seconds = Math.min( seconds, speed / deceleration )
+	return seconds - 0.5 * deceleration / speed * seconds * seconds
+}
+
+
+
+
+//  Tracking jitter is small and fast; deliberate motion is big. The
+//  One Euro filter (Casiez, Roussel, and Vogel, CHI 2012) is a low-pass
+//  filter whose cutoff frequency rises with speed: heavy smoothing while
+//  your hand is still, barely any lag when it swings. This one filters
+//  THREE.Vector3s and THREE.Quaternions in place:
+//
+//    filter.filter( value, time, minCutoff, beta, derivativeCutoff )
+//
+//  Each controller has one for position and one for orientation, tuned by
+//  controller.smoothing. (See THREE.VRController.smoothingDefaults.)
+
+THREE.VRController.OneEuroFilter = function(){
+
+	this.reset()
+}
+THREE.VRController.OneEuroFilter.getAlpha = function( cutoff, seconds ){
+
+	var tau = 1 / ( 2 * Math.PI * cutoff )
+
+	return 1 / ( 1 + tau / seconds )
+}
+THREE.VRController.OneEuroFilter.prototype.reset = function(){
+
+	this.value = undefined
+	this.time  = undefined
+	this.speed = 0
+	return this
+}
+THREE.VRController.OneEuroFilter.prototype.filter = function( value, time, minCutoff, beta, derivativeCutoff ){
+
+	var
+	isQuaternion = value instanceof THREE.Quaternion,
+	seconds, distance, dot, alpha
+
+	if( this.value === undefined || this.value.constructor !== value.constructor ){
+
+		this.value = value.clone()
+		this.time  = time
+		this.speed = 0
+		return value
+	}
+	seconds = ( time - this.time ) / 1000
+	if( seconds <= 0 ) return value.copy( this.value )
+	this.time = time
+
+
+	//  How fast are we going? Smooth that out too.
+
+	if( isQuaternion ){
+
+		dot = this.value.x * value.x + this.value.y * value.y + this.value.z * value.z + this.value.w * value.w
+		distance = 2 * Math.acos( Math.min( 1, Math.abs( dot )))
+	}
+	else distance = this.value.distanceTo( value )
+	this.speed += THREE.VRController.OneEuroFilter.getAlpha( derivativeCutoff, seconds ) * ( distance / seconds - this.speed )
+
+
+	//  Faster means a higher cutoff, which means less smoothing.
+
+	alpha = THREE.VRController.OneEuroFilter.getAlpha( minCutoff + beta * this.speed, seconds )
+	if( isQuaternion ) this.value.slerp( value, alpha )
+	else this.value.lerp( value, alpha )
+	return value.copy( this.value )
+}
+
+
+
+
+    //////////////////
+   //              //
+  //   Tracking   //
+ //              //
+//////////////////
+
+
+//  Hands wander out of view of the sensors. When a controller stops
+//  reporting orientation or position we fire one of these:
+//
+//    'orientation tracking lost' / 'orientation tracking regained'
+//    'position tracking lost'    / 'position tracking regained'
+//
+//  Position events only fire for 6DOF controllers since 3DOF controllers
+//  never had a position to lose. controller.trackingState then reads:
+//
+//    'tracked'           All good.
+//    'position lost'     A 6DOF controller that’s down to orientation.
+//    'orientation lost'  Position but no orientation. Rare, but possible.
+//    'untracked'         No pose at all. If that lasts longer than
+//                        THREE.VRController.untrackedTimeout we decide
+//                        it’s gone and fire 'disconnected'.
+//    'disconnected'      Goodbye!
+//
+//  What the controller does in the meantime is up to you:
+//  controller.trackingLoss.policy = 'rest'
+//  (See THREE.VRController.trackingLossDefaults for the options.)
+
+THREE.VRController.prototype.updateTracking = function( now ){
+
+	var
+	controller = this,
+	pose = this.gamepad.pose,
+	isOrientationTracked = pose.orientation !== null,
+	isPositionTracked = pose.position !== null && pose.hasPosition !== false,
+	verbosity = THREE.VRController.verbosity,
+	settings = this.trackingLoss,
+	state, progress
+
+	function dispatch( type ){
+
+		if( verbosity >= 0.4 ) console.log( '> #'+ controller.gamepad.index +' '+ controller.gamepad.id +' '+ type )
+		controller.dispatchEvent({ type: type, controller: controller, trackingState: state })
+	}
+
+
+	//  A WebXR controller can start out with an emulated position
+	//  and only later prove it can do better.
+
+	if( isPositionTracked && this.dof < 6 ) this.dof = 6
+	if( this.dof < 6 ) isPositionTracked = false
+
+	if( !isOrientationTracked && !isPositionTracked ) state = 'untracked'
+	else if( !isOrientationTracked ) state = 'orientation lost'
+	else if( !isPositionTracked && this.dof === 6 ) state = 'position lost'
+	else state = 'tracked'
+
+	if( state !== this.trackingState ){
+
+		if( this.trackingState === 'tracked' ) this.trackingLostAt = now
+		if( state === 'tracked' ){
+
+			this.trackingLostAt = undefined
+			this.restoreFromTrackingLoss()
+		}
+		this.untrackedSince = state === 'untracked' ? now : undefined
+		this.trackingState = state
+	}
+	if( isOrientationTracked !== this.isOrientationTracked ){
+
+		this.isOrientationTracked = isOrientationTracked
+		dispatch( 'orientation tracking '+ ( isOrientationTracked ? 'regained' : 'lost' ))
+	}
+	if( isPositionTracked !== this.isPositionTracked ){
+
+		this.isPositionTracked = isPositionTracked
+		if( this.dof === 6 ) dispatch( 'position tracking '+ ( isPositionTracked ? 'regained' : 'lost' ))
+	}
+	if( state === 'tracked' ) return true
+
+
+	//  Changed your mind about the policy while lost? Then we undo
+	//  whatever the old one did before the new one takes over.
+
+	if( this.trackingLossApplied !== undefined &&
+		this.trackingLossApplied !== settings.policy ){
+
+		this.restoreFromTrackingLoss()
+	}
+	this.trackingLossApplied = settings.policy
+
+
+	//  Still lost. Hide and fade both stay put, same as freeze.
+
+	if( settings.policy === 'hide' ) this.visible = false
+	if( settings.policy === 'fade' ){
+
+		progress = Math.min( 1, ( now - this.trackingLostAt ) / settings.fadeDuration )
+		this.fadeForTrackingLoss( 1 - progress )
+		if( progress === 1 ) this.visible = false
+	}
+	if( settings.policy === 'rest' ) return true
+
+
+	//  Standing still is motion too, as far as throwing is concerned.
+	//  We repeat the last pose as tracked, not as smoothed or predicted,
+	//  so a throw made while lost doesn’t inherit the look ahead.
+
+	this.poseHistory.push( now, this.rawPosition, this.rawQuaternion )
+	return false
+}
+
+
+//  We keep track of each material’s own opacity so we can put it back.
+//  Anything you add to the controller mid-fade will join in.
+
+THREE.VRController.prototype.fadeForTrackingLoss = function( opacity ){
+
+	var fade = this.trackingFade
+
+	this.traverse( function( object ){
+
+		var materials = Array.isArray( object.material ) ? object.material : [ object.material ]
+
+		materials.forEach( function( material ){
+
+			var entry
+
+			if( material === undefined || material === null ) return
+			entry = fade.find( function( entry ){ return entry.material === material })
+			if( entry === undefined ){
+
+				entry = { material: material, opacity: material.opacity, transparent: material.transparent }
+				fade.push( entry )
+				material.transparent = true
+				material.needsUpdate = true
+			}
+			material.opacity = entry.opacity * opacity
+		})
+	})
+}
+THREE.VRController.prototype.restoreFromTrackingLoss = function(){
+
+	this.trackingFade.forEach( function( entry ){
+
+		entry.material.opacity = entry.opacity
+		entry.material.transparent = entry.transparent
+		entry.material.needsUpdate = true
+	})
+	this.trackingFade = []
+	if( this.trackingLossApplied === 'hide' || this.trackingLossApplied === 'fade' ) this.visible = true
+	this.trackingLossApplied = undefined
+}
+
+
+//  Down by your side, turning as your head turns, in the same space the arm
+//  model works in -- that is, before controller.standingMatrix is applied.
+
+THREE.VRController.prototype.getRestMatrix = function( target ){
+
+	var
+	head = this.getHead(),
+	settings = this.trackingLoss,
+	scratch = this.poseScratch,
+	position = scratch.restPosition.fromArray( settings.restPosition ),
+	quaternion = scratch.restQuaternion.fromArray( settings.restOrientation ),
+	heading = scratch.restHeading.setFromAxisAngle(
+
+		scratch.up,
+		scratch.restEuler.setFromQuaternion( head.quaternion, 'YXZ' ).y
+	)
+
+	if( target === undefined ) target = new THREE.Matrix4()
+	if( this.getHandedness() === 'left' ){
+
+		position.x *= -1
+		quaternion.set( quaternion.x, -quaternion.y, -quaternion.z, quaternion.w )
+	}
+	position.applyQuaternion( heading ).add( head.position )
+	quaternion.premultiply( heading )
+	return target.compose( position, quaternion, this.scale )
+}
+
+
+
+
+    //////////////
+   //          //
+  //   Grab   //
+ //          //
+//////////////
+
+
+//  Picking things up is probably the most common thing anyone does in VR.
+//  A Grabber watches a button (by default 'grip', or 'primary' if this
+//  controller has no grip) and when it’s pressed attaches the nearest of
+//  your grabbable objects within reach -- or failing that, whatever this
+//  controller’s Pointer is pointing at. The object keeps its world transform
+//  and simply follows your hand. It is NOT reparented.
+//
+//    const grabber = new THREE.VRController.Grabber( controller, {
+//
+//      objects: [ ball, cube ],
+//      reach:   0.15
+//    })
+//
+//  Both the controller and the object receive these events:
+//
+//    'grab began'  { object, controller }
+//    'grab ended'  { object, controller, linearVelocity, angularVelocity }
+//
+//  The velocities are THREE.Vector3s in world space (meters per second and
+//  radians per second) estimated from your hand’s recent motion -- via the
+//  controller’s poseHistory -- so you can hand them straight to whichever
+//  physics engine you like. Throw!
+
+THREE.VRController.Grabber = function( controller, options ){
+
+	var grabber = this
+
+	if( options === undefined ) options = {}
+	this.controller = controller
+	this.objects = options.objects !== undefined ? options.objects : []
+	this.button  = options.button  !== undefined ? options.button  : ( controller.getButton( 'grip' ) !== undefined ? 'grip' : 'primary' )
+
+
+	//  How close (in meters) an object must be to grab it directly,
+	//  and whether we may grab what the Pointer is pointing at.
+
+	this.reach = options.reach !== undefined ? options.reach : 0.1
+	this.usePointer = options.usePointer !== false
+
+
+	//  Throw velocities are averaged over roughly this many milliseconds.
+
+	this.throwWindow = options.throwWindow !== undefined ? options.throwWindow : 100
+	this.held = null
+	this.offset = new THREE.Matrix4()
+	this.isPressed = false
+	controller.grabber = this
+
+
+	//  We carry things every frame so we keep our math objects around
+	//  rather than making (and throwing away) new ones each time.
+
+	this.scratch = {
+
+		hand:       new THREE.Vector3(),
+		position:   new THREE.Vector3(),
+		quaternion: new THREE.Quaternion(),
+		scale:      new THREE.Vector3(),
+		matrix:     new THREE.Matrix4(),
+		inverse:    new THREE.Matrix4()
+	}
+
+
+	//  A controller that vanishes mid-grab lets go. Otherwise whatever it
+	//  held would hang in the air, forever waiting for its 'grab ended'.
+
+	controller.addEventListener( 'disconnected', function(){
+
+		if( grabber.held !== null ) grabber.release()
+		grabber.isPressed = false
+	})
+}
+
+
+//  Walk up from a mesh to the grabbable it belongs to, if any.
+//  Handy when your grabbable is a Group full of meshes.
+
+THREE.VRController.Grabber.prototype.findGrabbable = function( object ){
+
+	while( object !== null && object !== undefined ){
+
+		if( this.objects.indexOf( object ) > -1 ) return object
+		object = object.parent
+	}
+	return null
+}
+THREE.VRController.Grabber.prototype.findNearest = function( position ){
+
+	var
+	nearest = null,
+	nearestDistance = this.reach,
+	objectPosition = this.scratch.position
+
+	this.objects.forEach( function( object ){
+
+		var distance = position.distanceTo( objectPosition.setFromMatrixPosition( object.matrixWorld ))
+
+		if( distance <= nearestDistance ){
+
+			nearest = object
+			nearestDistance = distance
+		}
+	})
+	return nearest
+}
+THREE.VRController.Grabber.prototype.update = function(){
+
+	var
+	controller = this.controller,
+	position = this.scratch.hand,
+	button = controller.getButton( this.button ),
+	isPressed = button !== undefined && button.isPressed,
+	object
+
+	controller.updateMatrixWorld()
+	position.setFromMatrixPosition( controller.matrixWorld )
+
+
+	//  Grab or release?
+
+	if( isPressed !== this.isPressed ){
+
+		this.isPressed = isPressed
+		if( isPressed ){
+
+			object = this.findNearest( position )
+			if( object === null && this.usePointer && controller.pointer !== undefined ){
+
+				object = this.findGrabbable( controller.pointer.hovered )
+			}
+			if( object !== null ) this.grab( object )
+		}
+		else if( this.held !== null ) this.release()
+	}
+
+
+	//  Carry whatever we’re holding along with us.
+
+	if( this.held !== null ) this.carry()
+}
+THREE.VRController.Grabber.prototype.grab = function( object ){
+
+	var controller = this.controller
+
+
+	//  Nobody else gets to hold this while we do.
+
+	THREE.VRController.controllers.forEach( function( other ){
+
+		if( other !== undefined && other.grabber !== undefined &&
+			other.grabber !== controller.grabber && other.grabber.held === object ){
+
+			other.grabber.release()
+		}
+	})
+	object.updateMatrixWorld()
+	this.offset.getInverse( controller.matrixWorld ).multiply( object.matrixWorld )
+	this.held = object
+	this.dispatch({ type: 'grab began' })
+}
+THREE.VRController.Grabber.prototype.carry = function(){
+
+	var
+	object = this.held,
+	matrix = this.scratch.matrix.multiplyMatrices( this.controller.matrixWorld, this.offset )
+
+	if( object.parent !== null ){
+
+		object.parent.updateMatrixWorld()
+		matrix.multiplyMatrices( this.scratch.inverse.getInverse( object.parent.matrixWorld ), matrix )
+	}
+	matrix.decompose( object.position, object.quaternion, object.scale )
+	object.updateMatrix()
+	object.updateMatrixWorld( true )
+}
+THREE.VRController.Grabber.prototype.release = function(){
+
+	var
+	velocities = this.getVelocities(),
+	objectPosition = new THREE.Vector3().setFromMatrixPosition( this.held.matrixWorld ),
+	handPosition = new THREE.Vector3().setFromMatrixPosition( this.controller.matrixWorld )
+
+
+	//  A spinning hand flings what it holds: v + ω × r
+
+	velocities.linear.add( new THREE.Vector3().crossVectors( velocities.angular, objectPosition.sub( handPosition )))
+	this.dispatch({
+
+		type: 'grab ended',
+		linearVelocity:  velocities.linear,
+		angularVelocity: velocities.angular
+	})
+	this.held = null
+}
+
+
+//  The pose history is in the controller’s parent space,
+//  so we rotate (and scale) its velocities into world space.
+
+THREE.VRController.Grabber.prototype.getVelocities = function(){
+
+	var
+	controller = this.controller,
+	linear  = controller.poseHistory.getLinearVelocity(  undefined, this.throwWindow ),
+	angular = controller.poseHistory.getAngularVelocity( undefined, this.throwWindow ),
+	position   = this.scratch.position,
+	quaternion = this.scratch.quaternion,
+	scale      = this.scratch.scale
+
+	if( controller.parent !== null ){
+
+		controller.parent.matrixWorld.decompose( position, quaternion, scale )
+		linear.multiply( scale ).applyQuaternion( quaternion )
+		angular.applyQuaternion( quaternion )
+	}
+	return { linear: linear, angular: angular }
+}
+THREE.VRController.Grabber.prototype.dispatch = function( event ){
+
+	event.object = this.held
+	event.controller = this.controller
+	if( THREE.VRController.verbosity >= 0.5 ) console.log( '> #'+ this.controller.gamepad.index +' '+ this.controller.gamepad.id +' '+ event.type, this.held )
+	this.controller.dispatchEvent( event )
+	this.held.dispatchEvent( Object.assign( {}, event ))
+}
+
+
+
+
+    ///////////////
+   //           //
+  //   Model   //
+ //           //
+///////////////
+
+
+//  A new controller is just an empty THREE.Object3D. If you don’t have
+//  your own artwork yet (or just want something better than a cone) we can
+//  build a recognizable, low-poly stand-in from plain geometry -- no files
+//  to load -- based on controller.style:
+//
+//    const model = new THREE.VRController.Model( controller )
+//
+//  It adds itself to the controller and, with every update, its buttons
+//  depress, triggers pull, sticks tilt, and thumbpads show where your thumb
+//  is. Touched parts light up in touchColor, pressed ones in pressColor.
+//  Teach it a new style by adding a builder to THREE.VRController.models.
+//  Builders are called with the model and should use its add*() methods.
+
+THREE.VRController.Model = function( controller, options ){
+
+	var build
+
+	THREE.Object3D.call( this )
+	if( options === undefined ) options = {}
+	this.name = 'VRController model'
+	this.controller = controller
+	this.parts = []
+	this.side = controller.getHandedness() === 'left' ? -1 : 1
+	this.bodyMaterial = new THREE.MeshStandardMaterial({
+
+		color: options.color !== undefined ? options.color : 0x222222,
+		roughness: 0.6,
+		metalness: 0.1
+	})
+	this.bodyMaterial.flatShading = true
+	this.buttonColor = new THREE.Color( options.buttonColor !== undefined ? options.buttonColor : 0x555555 )
+	this.touchColor  = new THREE.Color( options.touchColor  !== undefined ? options.touchColor  : 0x4499FF )
+	this.pressColor  = new THREE.Color( options.pressColor  !== undefined ? options.pressColor  : 0xF4C20D )
+	build = THREE.VRController.models[ controller.style ]
+	if( build === undefined ) build = THREE.VRController.models.default
+	build( this )
+	controller.add( this )
+	controller.model = this
+}
+THREE.VRController.Model.prototype = Object.create( THREE.Object3D.prototype )
+THREE.VRController.Model.prototype.constructor = THREE.VRController.Model
+
+
+//  Builders use these. Positions and rotations are Arrays in the
+//  controller’s own space: -Z points forward, +Y is up, and +X is to the
+//  right. For a left hand we mirror X for you.
+
+THREE.VRController.Model.prototype.hasButton = function( name ){
+
+	return this.controller.getButton( name ) !== undefined
+}
+THREE.VRController.Model.prototype.hasAxes = function( name ){
+
+	return this.controller.getAxesSettings( name ) !== undefined
+}
+THREE.VRController.Model.prototype.place = function( object, position, rotation ){
+
+	if( position !== undefined ) object.position.set( position[ 0 ] * this.side, position[ 1 ], position[ 2 ])
+	if( rotation !== undefined ) object.rotation.set( rotation[ 0 ], rotation[ 1 ] * this.side, rotation[ 2 ] * this.side )
+	return object
+}
+THREE.VRController.Model.prototype.addBody = function( geometry, position, rotation ){
+
+	var mesh = new THREE.Mesh( geometry, this.bodyMaterial )
+
+	this.add( this.place( mesh, position, rotation ))
+	return mesh
+}
+
+
+//  Each moving part gets its own material so it can light up on its own.
+//  The mesh sits inside a holder Object3D that we leave where you put it.
+
+THREE.VRController.Model.prototype.addPart = function( type, name, geometry, position, rotation, settings ){
+
+	var
+	holder = this.place( new THREE.Object3D(), position, rotation ),
+	material = new THREE.MeshStandardMaterial({ color: this.buttonColor, roughness: 0.5, metalness: 0.1 }),
+	part = Object.assign({
+
+		type:   type,
+		name:   name,
+		holder: holder,
+		mesh:   new THREE.Mesh( geometry, material )
+
+	}, settings )
+
+	material.flatShading = true
+	holder.add( part.mesh )
+	this.add( holder )
+	this.parts.push( part )
+	return part
+}
+
+
+//  Buttons sink into the body, by default along their own -Y.
+
+THREE.VRController.Model.prototype.addButton = function( name, geometry, position, rotation, travel ){
+
+	if( !this.hasButton( name )) return
+	return this.addPart( 'button', name, geometry, position, rotation, {
+
+		travel: travel !== undefined ? travel : 0.002
+	})
+}
+
+
+//  Triggers swing about their holder’s X axis, toward the handle.
+
+THREE.VRController.Model.prototype.addTrigger = function( name, geometry, position, rotation, angle ){
+
+	if( !this.hasButton( name )) return
+	return this.addPart( 'trigger', name, geometry, position, rotation, {
+
+		angle: angle !== undefined ? angle : 0.35
+	})
+}
+
+
+//  Sticks tilt with their named axes and click down with their button.
+
+THREE.VRController.Model.prototype.addStick = function( name, geometry, position, rotation, tilt ){
+
+	if( !this.hasAxes( name )) return
+	geometry.computeBoundingBox()
+	geometry.translate( 0, -geometry.boundingBox.min.y, 0 )//  Pivot at the base.
+	return this.addPart( 'stick', name, geometry, position, rotation, {
+
+		tilt:   tilt !== undefined ? tilt : 0.35,
+		travel: 0.002
+	})
+}
+
+
+//  Thumbpads are discs with a little marker that follows your thumb.
+
+THREE.VRController.Model.prototype.addThumbpad = function( name, radius, position, rotation ){
+
+	var part, marker
+
+	if( !this.hasAxes( name )) return
+	part = this.addPart( 'thumbpad', name, new THREE.CylinderGeometry( radius, radius, 0.003, 16 ), position, rotation, {
+
+		radius: radius,
+		travel: 0.0015
+	})
+	marker = new THREE.Mesh(
+
+		new THREE.SphereGeometry( radius * 0.2, 8, 6 ),
+		new THREE.MeshBasicMaterial({ color: this.touchColor })
+	)
+	marker.visible = false
+	part.mesh.add( marker )
+	part.marker = marker
+	return part
+}
+
+
+//  Read the controller’s live state and move our parts to match.
+
+THREE.VRController.Model.prototype.update = function(){
+
+	var
+	model = this,
+	controller = this.controller
+
+	this.parts.forEach( function( part ){
+
+		var
+		button = controller.getButton( part.name ),
+		value  = button !== undefined ? Math.max( button.value, +button.isPressed ) : 0,
+		axes   = part.type === 'stick' || part.type === 'thumbpad' ? controller.getAxes( part.name ) : undefined,
+		color  = model.buttonColor
+
+		if( part.type === 'trigger' ) part.mesh.rotation.x = value * part.angle
+		else part.mesh.position.y = -value * part.travel
+		if( part.type === 'stick' ){
+
+			part.mesh.rotation.x =  axes[ 1 ] * part.tilt
+			part.mesh.rotation.z = -axes[ 0 ] * part.tilt
+		}
+		if( part.type === 'thumbpad' ){
+
+			part.marker.visible = button !== undefined && button.isTouched
+			part.marker.position.set( axes[ 0 ] * part.radius, 0.002, axes[ 1 ] * part.radius )
+		}
+		if( button !== undefined && button.isPressed ) color = model.pressColor
+		else if( button !== undefined && ( button.isTouched || button.value > 0 )) color = model.touchColor
+		part.mesh.material.color.copy( color )
+	})
+}
+THREE.VRController.Model.prototype.dispose = function(){
+
+	this.traverse( function( object ){
+
+		if( object.geometry !== undefined ) object.geometry.dispose()
+		if( object.material !== undefined ) object.material.dispose()
+	})
+	if( this.parent !== null ) this.parent.remove( this )
+	if( this.controller.model === this ) this.controller.model = undefined
+}
+
+
+//  One builder per controller.style. These aim for “oh, that’s a Vive”
+//  rather than accuracy, and stick to shapes Three.js can make itself.
+
+THREE.VRController.models = {
+
+	daydream: function( model ){
+
+		model.addBody( new THREE.BoxGeometry( 0.035, 0.012, 0.105 ), [ 0, 0, 0 ])
+		model.addThumbpad( 'thumbpad', 0.015, [ 0, 0.0065, -0.03 ])
+		model.addBody( new THREE.CylinderGeometry( 0.005, 0.005, 0.003, 8 ), [ 0, 0.0065, 0.0 ])
+		model.addBody( new THREE.CylinderGeometry( 0.005, 0.005, 0.003, 8 ), [ 0, 0.0065, 0.015 ])
+	},
+	vive: function( model ){
+
+		model.addBody( new THREE.BoxGeometry( 0.04, 0.025, 0.1 ), [ 0, 0, 0.02 ])
+		model.addBody( new THREE.CylinderGeometry( 0.018, 0.016, 0.1, 8 ), [ 0, -0.04, 0.085 ], [ 0.6, 0, 0 ])
+		model.addBody( new THREE.TorusGeometry( 0.04, 0.008, 6, 12 ), [ 0, 0.01, -0.07 ], [ Math.PI / 2 - 0.5, 0, 0 ])
+		model.addThumbpad( 'thumbpad', 0.017, [ 0, 0.0135, 0.005 ])
+		model.addButton( 'menu', new THREE.BoxGeometry( 0.008, 0.003, 0.005 ), [ 0, 0.0135, -0.022 ])
+		model.addTrigger( 'trigger', new THREE.BoxGeometry( 0.012, 0.025, 0.01 ), [ 0, -0.02, -0.015 ])
+		model.addButton( 'grip', new THREE.BoxGeometry( 0.004, 0.01, 0.03 ), [  0.021, -0.005, 0.045 ], [ 0, 0, -Math.PI / 2 ])
+		model.addButton( 'grip', new THREE.BoxGeometry( 0.004, 0.01, 0.03 ), [ -0.021, -0.005, 0.045 ], [ 0, 0,  Math.PI / 2 ])
+	},
+	oculus: function( model ){
+
+
+		//  Oculus Touch.
+
+		if( model.hasAxes( 'thumbstick' )){
+
+			model.addBody( new THREE.CylinderGeometry( 0.03, 0.03, 0.015, 10 ), [ 0, 0, 0 ])
+			model.addBody( new THREE.CylinderGeometry( 0.017, 0.02, 0.1, 8 ), [ 0, -0.05, 0.02 ], [ -0.3, 0, 0 ])
+			model.addBody( new THREE.TorusGeometry( 0.045, 0.006, 6, 16 ), [ 0.01, 0.015, -0.01 ], [ Math.PI / 2 - 1, 0, 0 ])
+			model.addStick( 'thumbstick', new THREE.CylinderGeometry( 0.009, 0.004, 0.012, 8 ), [ -0.009, 0.013, 0 ])
+			model.addButton( 'A', new THREE.CylinderGeometry( 0.005, 0.005, 0.003, 8 ), [ 0.012, 0.008,  0.006 ])
+			model.addButton( 'B', new THREE.CylinderGeometry( 0.005, 0.005, 0.003, 8 ), [ 0.014, 0.008, -0.008 ])
+			model.addButton( 'X', new THREE.CylinderGeometry( 0.005, 0.005, 0.003, 8 ), [ 0.012, 0.008,  0.006 ])
+			model.addButton( 'Y', new THREE.CylinderGeometry( 0.005, 0.005, 0.003, 8 ), [ 0.014, 0.008, -0.008 ])
+			model.addButton( 'thumbrest', new THREE.CylinderGeometry( 0.005, 0.005, 0.001, 8 ), [ 0.004, 0.008, 0.018 ])
+			model.addTrigger( 'trigger', new THREE.BoxGeometry( 0.012, 0.025, 0.01 ), [ 0, -0.02, -0.025 ])
+			model.addButton( 'grip', new THREE.BoxGeometry( 0.016, 0.004, 0.04 ), [ -0.012, -0.05, 0.0 ], [ -0.3, 0, -Math.PI / 2 ])
+		}
+
+
+		//  Oculus Go, and GearVR’s controller which looks much the same.
+
+		else {
+
+			model.addBody( new THREE.BoxGeometry( 0.035, 0.015, 0.11 ), [ 0, 0, 0 ])
+			model.addThumbpad( 'thumbpad', 0.014, [ 0, 0.0075, -0.03 ])
+			model.addTrigger( 'trigger', new THREE.BoxGeometry( 0.015, 0.012, 0.02 ), [ 0, -0.0075, -0.035 ])
+		}
+	},
+	index: function( model ){
+
+		model.addBody( new THREE.BoxGeometry( 0.035, 0.02, 0.06 ), [ 0, 0, 0 ])
+		model.addBody( new THREE.CylinderGeometry( 0.016, 0.018, 0.11, 8 ), [ 0, -0.05, 0.03 ], [ 0.4, 0, 0 ])
+		model.addBody( new THREE.TorusGeometry( 0.04, 0.004, 4, 12, Math.PI ), [ -0.02, -0.045, 0.035 ], [ 0.4, Math.PI / 2, 0 ])
+		model.addStick( 'thumbstick', new THREE.CylinderGeometry( 0.008, 0.004, 0.012, 8 ), [ -0.006, 0.016, -0.012 ])
+		model.addButton( 'thumbpad', new THREE.BoxGeometry( 0.008, 0.002, 0.022 ), [ -0.006, 0.0105, 0.013 ])
+		model.addButton( 'A', new THREE.CylinderGeometry( 0.004, 0.004, 0.003, 8 ), [ 0.01, 0.0105, 0.004 ])
+		model.addButton( 'B', new THREE.CylinderGeometry( 0.004, 0.004, 0.003, 8 ), [ 0.01, 0.0105, -0.008 ])
+		model.addTrigger( 'trigger', new THREE.BoxGeometry( 0.012, 0.025, 0.01 ), [ 0, -0.02, -0.025 ])
+		model.addButton( 'grip', new THREE.BoxGeometry( 0.004, 0.012, 0.06 ), [ 0, -0.055, 0.005 ], [ 0.4, 0, 0 ])
+	},
+	magicleap: function( model ){
+
+		model.addBody( new THREE.CylinderGeometry( 0.02, 0.024, 0.12, 12 ), [ 0, 0, 0 ], [ Math.PI / 2, 0, 0 ])
+		model.addThumbpad( 'thumbpad', 0.016, [ 0, 0.021, -0.03 ])
+		model.addButton( 'menu', new THREE.CylinderGeometry( 0.004, 0.004, 0.003, 8 ), [ 0, 0.021, 0.0 ])
+		model.addButton( 'bumper', new THREE.BoxGeometry( 0.03, 0.006, 0.01 ), [ 0, 0.012, -0.058 ])
+		model.addTrigger( 'trigger', new THREE.BoxGeometry( 0.015, 0.02, 0.012 ), [ 0, -0.02, -0.045 ])
+	},
+	microsoft: function( model ){
+
+		model.addBody( new THREE.BoxGeometry( 0.04, 0.02, 0.07 ), [ 0, 0, 0 ])
+		model.addBody( new THREE.CylinderGeometry( 0.018, 0.02, 0.1, 8 ), [ 0, -0.05, 0.04 ], [ 0.3, 0, 0 ])
+		model.addBody( new THREE.TorusGeometry( 0.05, 0.008, 6, 16 ), [ 0, 0.01, -0.06 ], [ Math.PI / 2 - 0.3, 0, 0 ])
+		model.addStick( 'thumbstick', new THREE.CylinderGeometry( 0.008, 0.004, 0.012, 8 ), [ -0.01, 0.016, -0.02 ])
+		model.addThumbpad( 'thumbpad', 0.013, [ 0.008, 0.0115, 0.008 ])
+		model.addButton( 'menu', new THREE.BoxGeometry( 0.006, 0.003, 0.006 ), [ 0, 0.0115, 0.03 ])
+		model.addTrigger( 'trigger', new THREE.BoxGeometry( 0.012, 0.025, 0.01 ), [ 0, -0.02, -0.025 ])
+		model.addButton( 'grip', new THREE.BoxGeometry( 0.004, 0.012, 0.035 ), [ -0.021, -0.045, 0.035 ], [ 0.3, 0, Math.PI / 2 ])
+	},
+
+
+	//  Don’t know you? Here’s a box with your primary button on top.
+
+	default: function( model ){
+
+		model.addBody( new THREE.BoxGeometry( 0.04, 0.02, 0.12 ), [ 0, 0, 0 ])
+		model.addButton( 'primary', new THREE.CylinderGeometry( 0.008, 0.008, 0.003, 8 ), [ 0, 0.011, -0.03 ])
+	}
+}
+
+
+
+
+    /////////////////
+   //             //
+  //   Vibrate   //
+ //             //
+/////////////////
+
+
+THREE.VRController.VIBE_TIME_MAX = 5 * 1000
+THREE.VRController.VIBE_CHANNEL_EXPIRY = 1000
+
+
+//  A master volume for every controller’s haptics, from 0 to 1.
+//  Handy for accessibility settings -- or an off switch.
+
+THREE.VRController.hapticVolume = 1
+THREE.VRController.vibeMixDefaults = {
+
+	mode:    'sum',
+	ducking: 0.25
+}
+THREE.VRController.prototype.setVibe = function( name, intensity ){
+
+	if( typeof name === 'number' && intensity === undefined ){
+
+		intensity = name
+		name = ''
+	}
+	if( typeof name === 'string' ){
+
+		const 
+		controller = this,
+		o = {}
+
+
+		//  If this channel does not exist yet we must create it,
+		//  otherwise we want to remove any future commands 
+		//  while careful NOT to delete the ‘intensity’ property.
+
+		const channel = controller.getVibeChannel( name )
+		channel.splice( 0 )
+		channel.repeat = undefined
+		channel.source = undefined
+		channel.idleSince = undefined
+
+
+		//  Vibing a controller that can’t vibe? Worth a heads up, once.
+
+		if( controller.haptics.supported === false &&
+			controller.vibeChannels.warned !== true ){
+
+			console.warn( '> #'+ controller.gamepad.index +' '+ controller.gamepad.id +' has no haptics, so vibe channels will be rendered but not felt. See controller.haptics.' )
+			controller.vibeChannels.warned = true
+		}
+
+
+		//  If we received a valid intensity then we should apply it now,
+		//  but if not we’ll just hold on to the previously reported intensity.
+		//  This allows us to reselect a channel and apply a wait() command
+		//  before applying an initial set() command!
+
+		if( typeof intensity === 'number' ) channel.intensity = intensity
+		else {
+
+			if( typeof channel.intensity === 'number' ) intensity = channel.intensity
+
+			
+			//  But if we’re SOL then we need to default to zero.
+
+			else intensity = 0
+		}
+
+		let cursor = THREE.VRController.now()
+		channel.from = [ cursor, intensity ]
+
+
+		//  Give set() an easing and rather than jumping at the cursor
+		//  we’ll glide there from the previous command.
+		//  (See THREE.VRController.easings below.)
+
+		o.set = function( intensity, easing ){
+
+			channel.push([ cursor, intensity, easing ])
+			return o
+		}
+		o.wait = function( duration ){
+
+			cursor += duration
+			return o
+		}
+		o.actuator = function( target ){
+
+			if( target !== undefined &&
+				target !== 'strong' &&
+				target !== 'weak' &&
+				!( typeof target === 'number' && target >= 0 && target % 1 === 0 )){
+
+				throw new Error( 'THREE.VRController.setVibe: unknown actuator "'+ target +'". Expected an actuator index, "strong", "weak", or undefined for all of them.' )
+			}
+			channel.actuator = target
+			return o
+		}
+		o.ramp = function( intensity, duration, easing ){
+
+			return o.wait( duration ).set( intensity, easing !== undefined ? easing : 'linear' )
+		}
+		o.envelope = function( settings ){
+
+			return o.play( THREE.VRController.createVibeEnvelope( settings ))
+		}
+
+
+		//  Rather than keyframes, a channel can follow a continuous source.
+		//  From the cursor onward it takes over the channel’s intensity and
+		//  gets resampled on every update(). Options for both: gain.
+		//
+		//  samples() takes intensities (0 to 1) in a Float32Array, or any
+		//  Array, recorded at sampleRate samples per second. Add loop: true
+		//  to keep going, otherwise the channel falls silent at the end.
+		//
+		//  analyser() follows the loudness (RMS) of a Web Audio AnalyserNode,
+		//  so the rumble tracks whatever is playing through it.
+
+		o.samples = function( samples, sampleRate, options ){
+
+			if( samples === undefined || samples === null || !( samples.length > 0 )){
+
+				throw new Error( 'THREE.VRController.setVibe: samples() expects a Float32Array or Array of intensities.' )
+			}
+			if( !( sampleRate > 0 )){
+
+				throw new Error( 'THREE.VRController.setVibe: samples() expects a sample rate in samples per second.' )
+			}
+			if( options === undefined ) options = {}
+			channel.source = {
+
+				type:       'samples',
+				samples:    samples,
+				sampleRate: sampleRate,
+				start:      cursor,
+				loop:       options.loop === true,
+				gain:       options.gain !== undefined ? options.gain : 1
+			}
+			return o
+		}
+		o.analyser = function( analyserNode, options ){
+
+			if( analyserNode === undefined || analyserNode === null ||
+				( typeof analyserNode.getFloatTimeDomainData !== 'function' &&
+				  typeof analyserNode.getByteTimeDomainData  !== 'function' )){
+
+				throw new Error( 'THREE.VRController.setVibe: analyser() expects a Web Audio AnalyserNode.' )
+			}
+			if( options === undefined ) options = {}
+			channel.source = {
+
+				type:  'analyser',
+				node:  analyserNode,
+				start: cursor,
+				gain:  options.gain !== undefined ? options.gain : 1
+			}
+			return o
+		}
+
+
+		//  Patterns are scheduled all at once -- unless they repeat forever,
+		//  in which case renderVibes() keeps the next one queued up.
+
+		o.play = function( pattern, options ){
+
+			const
+			vibePattern = THREE.VRController.getVibePattern( pattern ),
+			gain   = options !== undefined && options.gain   !== undefined ? options.gain   : 1,
+			repeat = options !== undefined && options.repeat !== undefined ? options.repeat : vibePattern.repeat,
+			count  = repeat === Infinity ? 1 : repeat
+
+			if( repeat > 1 && !( vibePattern.duration > 0 )){
+
+				throw new Error( 'THREE.VRController.setVibe: a repeating pattern needs a duration longer than zero.' )
+			}
+			for( let i = 0; i < count; i ++ ){
+
+				THREE.VRController.scheduleVibePattern( channel, vibePattern, cursor, gain )
+				cursor += vibePattern.duration
+			}
+			if( repeat === Infinity ) channel.repeat = { pattern: vibePattern, gain: gain, next: cursor }
+			return o
+		}
+		return o
+	}
+}
+
+
+//  Find a vibe channel by name, creating it if need be.
+//  Unlike setVibe() this leaves anything already scheduled alone.
+
+THREE.VRController.prototype.getVibeChannel = function( name ){
+
+	if( name === undefined ) name = ''
+
+	let channel = this.vibeChannels.find( function( channel ){
+
+		return channel.name === name
+	})
+	if( channel === undefined ){
+
+		channel = []
+		channel.name = name
+		channel.intensity = 0
+		Object.assign( channel, this.vibeConfig[ name ])
+		this.vibeChannels.push( channel )
+	}
+	return channel
+}
+
+
+//  How a channel sits in the mix. All of these are optional:
+//    priority:   Higher wins when this.vibeMix.mode is 'priority'. Default 0.
+//    gain:       Scales the channel’s intensity. Default 1.
+//    muted:      Silences it without losing anything scheduled.
+//    persistent: Otherwise a channel with nothing left to do is removed
+//                after VIBE_CHANNEL_EXPIRY milliseconds of silence.
+//
+//    controller.configureVibe( 'ui', { priority: 10 })
+//    controller.configureVibe( 'ambient', { gain: 0.5 })
+//
+//  Settings are kept in this.vibeConfig rather than on the channel alone,
+//  so a channel that expires comes back configured the next time it’s used.
+
+THREE.VRController.prototype.configureVibe = function( name, settings ){
+
+	if( name === undefined ) name = ''
+
+	const config = this.vibeConfig[ name ] = this.vibeConfig[ name ] || {}
+
+	if( settings.priority !== undefined ){
+
+		if( typeof settings.priority !== 'number' ) throw new Error( 'THREE.VRController.configureVibe: priority must be a number.' )
+		config.priority = settings.priority
+	}
+	if( settings.gain !== undefined ){
+
+		if( !( settings.gain >= 0 )) throw new Error( 'THREE.VRController.configureVibe: gain must be a number of zero or more.' )
+		config.gain = settings.gain
+	}
+	if( settings.muted      !== undefined ) config.muted      = !!settings.muted
+	if( settings.persistent !== undefined ) config.persistent = !!settings.persistent
+	Object.assign( this.getVibeChannel( name ), config )
+	return this
+}
+
+
+//  How vibe channels are combined into one intensity per actuator:
+//    'sum'       Add them all up. (This is how it’s always been.)
+//    'max'       Loudest channel wins.
+//    'priority'  Channels below the highest priority channel that’s
+//                currently vibrating are ducked -- scaled by ducking.
+
+THREE.VRController.prototype.setVibeMix = function( mode, ducking ){
+
+	if( [ 'sum', 'max', 'priority' ].indexOf( mode ) < 0 ){
+
+		throw new Error( 'THREE.VRController.setVibeMix: unknown mode "'+ mode +'". Expected "sum", "max", or "priority".' )
+	}
+	if( ducking !== undefined && !( ducking >= 0 && ducking <= 1 )){
+
+		throw new Error( 'THREE.VRController.setVibeMix: ducking must be between 0 and 1.' )
+	}
+	this.vibeMix.mode = mode
+	if( ducking !== undefined ) this.vibeMix.ducking = ducking
+	return this
+}
+
+
+//  Play a pattern -- by name or as an object -- on a channel of its own.
+//  Unless you say otherwise that’s a channel named after the pattern, so
+//  playing 'click' again restarts the click without disturbing anything
+//  else. Options: channel, gain (0 to 1), repeat (a count, or Infinity),
+//  and actuator (see setVibe’s actuator() above).
+
+THREE.VRController.prototype.playVibe = function( pattern, options ){
+
+	if( options === undefined ) options = {}
+
+	const o = this.setVibe(
+
+		options.channel !== undefined ? options.channel : ( typeof pattern === 'string' ? pattern : '' )
+	)
+	if( options.actuator !== undefined ) o.actuator( options.actuator )
+	return o.play( pattern, options )
+}
+
+
+//  Cancels anything scheduled on the channel, repeats and all.
+
+THREE.VRController.prototype.stopVibe = function( name ){
+
+	this.setVibe( name !== undefined ? name : '', 0 )
+	return this
+}
+
+
+//  Wire patterns straight to events, declaratively:
+//
+//    controller.bindVibes({
+//
+//      'trigger press began':       'click',
+//      'grab began':                { pattern: 'thud', gain: 0.5 },
+//      'position tracking lost':    { pattern: 'heartbeat', channel: 'alarm' }
+//    })
+//
+//  And controller.unbindVibe( 'grab began' ) when you’re done.
+
+THREE.VRController.prototype.bindVibe = function( type, pattern, options ){
+
+	const
+	controller = this,
+	binding = {
+
+		type: type,
+		listener: function(){ controller.playVibe( pattern, options ) }
+	}
+
+	THREE.VRController.getVibePattern( pattern )//  Fail now, not later.
+	if( this.vibeBindings === undefined ) this.vibeBindings = []
+	this.vibeBindings.push( binding )
+	this.addEventListener( type, binding.listener )
+	return this
+}
+THREE.VRController.prototype.bindVibes = function( bindings ){
+
+	const controller = this
+
+	Object.keys( bindings ).forEach( function( type ){
+
+		const binding = bindings[ type ]
+
+		if( typeof binding === 'string' || binding.pattern === undefined ) controller.bindVibe( type, binding )
+		else controller.bindVibe( type, binding.pattern, binding )
+	})
+	return this
+}
+THREE.VRController.prototype.unbindVibe = function( type ){
+
+	const controller = this
+
+	if( this.vibeBindings === undefined ) return this
+	this.vibeBindings = this.vibeBindings.filter( function( binding ){
+
+		if( binding.type !== type ) return true
+		controller.removeEventListener( type, binding.listener )
+		return false
+	})
+	return this
+}
+THREE.VRController.prototype.renderVibes = function( target ){
+
+
+	//  First we need to clear away any past-due commands,
+	//  and update the current intensity value.
+
+	const 
+	now = THREE.VRController.now(),
+	controller = this
+
+	controller.vibeChannels.forEach( function( channel ){
+
+
+		//  Repeating forever? Make sure the next go-round is queued up.
+
+		while( channel.repeat !== undefined && now >= channel.repeat.next - channel.repeat.pattern.duration ){
+
+			THREE.VRController.scheduleVibePattern( channel, channel.repeat.pattern, channel.repeat.next, channel.repeat.gain )
+			channel.repeat.next += channel.repeat.pattern.duration
+		}
+		while( channel.length && now > channel[ 0 ][ 0 ]){
+
+			channel.intensity = channel[ 0 ][ 1 ]
+			channel.from = channel.shift()
+		}
+		if( typeof channel.intensity !== 'number' ) channel.intensity = 0
+
+
+		//  Gliding toward the next command? Then we’re somewhere in between.
+
+		const next = channel[ 0 ]
+		if( next !== undefined && next[ 2 ] !== undefined && next[ 2 ] !== 'step' && channel.from !== undefined ){
+
+			const
+			from = channel.from,
+			progress = next[ 0 ] > from[ 0 ] ? Math.max( 0, ( now - from[ 0 ]) / ( next[ 0 ] - from[ 0 ])) : 1
+
+			channel.intensity = from[ 1 ] + ( next[ 1 ] - from[ 1 ]) * THREE.VRController.getEasing( next[ 2 ])( progress )
+		}
+
+
+		//  Following a sample buffer or an AnalyserNode instead?
+
+		if( channel.source !== undefined && now >= channel.source.start ){
+
+			channel.intensity = THREE.VRController.renderVibeSource( channel.source, now )
+			if( channel.source.isFinished ) channel.source = undefined
+		}
+	})
+
+
+	//  Channels with nothing left to do expire after a while,
+	//  except the default channel and any marked persistent.
+
+	if( target === undefined ){
+
+		for( let i = controller.vibeChannels.length - 1; i >= 0; i -- ){
+
+			const channel = controller.vibeChannels[ i ]
+			if( channel.name === '' || channel.persistent ||
+				channel.length > 0 || channel.repeat !== undefined || channel.source !== undefined ||
+				channel.intensity !== 0 ){
+
+				channel.idleSince = undefined
+			}
+			else if( channel.idleSince === undefined ) channel.idleSince = now
+			else if( now - channel.idleSince >= THREE.VRController.VIBE_CHANNEL_EXPIRY ) controller.vibeChannels.splice( i, 1 )
+		}
+	}
+
+
+	//  Now each channel knows its current intensity so we can mix those values.
+	//  Asked about a specific actuator? Then skip channels aimed elsewhere.
+
+	const
+	mix = controller.vibeMix,
+	levels = []
+
+	let topPriority = -Infinity
+
+	controller.vibeChannels.forEach( function( channel ){
+
+		if( channel.muted ) return
+		if( target !== undefined &&
+			channel.actuator !== undefined &&
+			channel.actuator !== target ) return
+
+		const
+		level = +channel.intensity * ( channel.gain !== undefined ? channel.gain : 1 ),
+		priority = channel.priority !== undefined ? channel.priority : 0
+
+		levels.push([ level, priority ])
+		if( level > 0 ) topPriority = Math.max( topPriority, priority )
+	})
+
+	let mixed = levels.reduce( function( mixed, level ){
+
+		if( mix.mode === 'max' ) return Math.max( mixed, level[ 0 ])
+		if( mix.mode === 'priority' && level[ 1 ] < topPriority ) return mixed + level[ 0 ] * mix.ducking
+		return mixed + level[ 0 ]
+
+	}, 0 )
+
+
+	//  And the master volume gets the same treatment. Anything that isn’t
+	//  a number between 0 and 1 would otherwise go straight to the motors.
+
+	const volume = Math.min( 1, Math.max( 0, +THREE.VRController.hapticVolume || 0 ))
+
+	mixed = Math.min( 1, Math.max( 0, mixed )) * volume
+	if( target === undefined ) this.vibeChannels.intensity = mixed
+	return mixed
+}
+THREE.VRController.prototype.applyVibes = function(){
+
+
+
+	//  Haptic capabilities are worked out when the controller connects.
+	//  We only look again if the gamepad grows (or loses) actuators
+	//  as some browsers only attach them after the first few frames.
+
+	if( THREE.VRController.countHapticActuators( this.gamepad ) !== this.haptics.attached ){
+
+		this.haptics = THREE.VRController.getHapticCapabilities( this.gamepad, this.profile, this.failedHapticActuators )
+	}
+
+	const
+	controller = this,
+	haptics = this.haptics,
+	now = THREE.VRController.now(),
+	vibeChannels = this.vibeChannels
+
+
+	//  Actuators answer with Promises. One that rejects (or throws) is
+	//  recorded in failedHapticActuators and not asked again.
+
+	function command( actuator, send ){
+
+		let result
+
+		try {
+
+			result = send()
+		}
+		catch( error ){
+
+			return fail( actuator, error )
+		}
+		if( result !== undefined && result !== null && typeof result.then === 'function' ){
+
+			result.then( undefined, function( error ){ fail( actuator, error ) })
+		}
+	}
+	function fail( actuator, error ){
+
+		if( controller.failedHapticActuators.indexOf( actuator ) > -1 ) return
+		controller.failedHapticActuators.push( actuator )
+		controller.haptics = THREE.VRController.getHapticCapabilities( controller.gamepad, controller.profile, controller.failedHapticActuators )
+		if( THREE.VRController.verbosity >= 0.5 ) console.warn( '> #'+ controller.gamepad.index +' '+ controller.gamepad.id +' haptic actuator failed and will be ignored:', error )
+	}
+
+
+	//  We only send a command when the intensity changes, or when we’re
+	//  halfway through the duration of the last one so it doesn’t lapse.
+
+	function isStale( target, intensity ){
+
+		const prior = vibeChannels.prior[ target ] !== undefined ? vibeChannels.prior[ target ] : 0
+
+		if( intensity !== prior ||
+			now - vibeChannels.lastCommanded[ target ] > THREE.VRController.VIBE_TIME_MAX / 2 ){
+
+			vibeChannels.lastCommanded[ target ] = now
+			vibeChannels.prior[ target ] = intensity
+			return true
+		}
+		return false
+	}
+	this.renderVibes()
+	haptics.pulseActuators.forEach( function( actuator, i ){
+
+		if( actuator === null ) return
+
+		const intensity = controller.renderVibes( i )
+		if( isStale( i, intensity )) command( actuator, function(){
+
+			return actuator.pulse( intensity, THREE.VRController.VIBE_TIME_MAX )
+		})
+	})
+
+
+	//  Gamepads with two rumble motors -- a heavy, low frequency “strong”
+	//  one and a light, high frequency “weak” one -- take both at once.
+
+	if( haptics.dualRumble ){
+
+		const
+		strong = this.renderVibes( 'strong' ),
+		weak   = this.renderVibes( 'weak' ),
+		isStrongStale = isStale( 'strong', strong ),
+		isWeakStale   = isStale( 'weak', weak )
+
+		if( isStrongStale || isWeakStale ){
+
+			command( haptics.rumbleActuator, function(){
+
+				return haptics.rumbleActuator.playEffect( 'dual-rumble', {
+
+					startDelay:      0,
+					duration:        THREE.VRController.VIBE_TIME_MAX,
+					strongMagnitude: strong,
+					weakMagnitude:   weak
+				})
+			})
+		}
+	}
+}
+
+
+//  What can this gamepad’s haptics actually do? We look for actuators that
+//  take pulse() -- the WebVR way -- and for a vibrationActuator that plays
+//  'dual-rumble' effects -- the standard gamepad way. Targets lists what a
+//  vibe channel may aim at via actuator(), numbered just like the gamepad’s
+//  own hapticActuators. Any actuator in failed is left out, but the rest
+//  keep their numbers: pulseActuators holds null in its place. Attached
+//  counts what the gamepad offered so we know when to look again. Declared
+//  is whatever the device’s profile says it ought to have.
+
+THREE.VRController.getHapticCapabilities = function( gamepad, profile, failed ){
+
+	const
+	hapticActuators = gamepad.hapticActuators !== undefined && gamepad.hapticActuators !== null ? Array.from( gamepad.hapticActuators ) : [],
+	isUsable = function( actuator ){
+
+		return actuator !== undefined && actuator !== null &&
+			( failed === undefined || failed.indexOf( actuator ) === -1 )
+	},
+	pulseActuators = hapticActuators.map( function( actuator ){
+
+		return isUsable( actuator ) && typeof actuator.pulse === 'function' ? actuator : null
+	}),
+	rumbleActuator = [ gamepad.vibrationActuator ].concat( hapticActuators ).find( function( actuator ){
+
+		return isUsable( actuator ) &&
+			typeof actuator.playEffect === 'function' && (
+
+				actuator.type === 'dual-rumble' ||
+				( Array.isArray( actuator.effects ) && actuator.effects.indexOf( 'dual-rumble' ) > -1 )
+			)
+	}),
+	targets = []
+
+	pulseActuators.forEach( function( actuator, i ){
+
+		if( actuator !== null ) targets.push( i )
+	})
+
+	const actuators = targets.length
+
+	if( rumbleActuator !== undefined ) targets.push( 'strong', 'weak' )
+	return {
+
+		supported:      targets.length > 0,
+		actuators:      actuators,
+		dualRumble:     rumbleActuator !== undefined,
+		targets:        targets,
+		declared:       profile !== undefined ? profile.haptics : undefined,
+		attached:       THREE.VRController.countHapticActuators( gamepad ),
+		pulseActuators: pulseActuators,
+		rumbleActuator: rumbleActuator
+	}
+}
+THREE.VRController.countHapticActuators = function( gamepad ){
+
+	return ( gamepad.hapticActuators !== undefined && gamepad.hapticActuators !== null ? gamepad.hapticActuators.length : 0 ) +
+		( gamepad.vibrationActuator !== undefined && gamepad.vibrationActuator !== null ? 1 : 0 )
+}
+
+
+
+
+//  Read a vibe channel’s source at a given moment. Sample buffers are
+//  linearly interpolated between neighbouring samples. AnalyserNodes are
+//  read at most once per THREE.VRController.frame because renderVibes()
+//  may be called for each actuator in turn, each at a slightly later now.
+
+THREE.VRController.renderVibeSource = function( source, now ){
+
+	if( source.type === 'samples' ){
+
+		const
+		samples  = source.samples,
+		position = ( now - source.start ) / 1000 * source.sampleRate
+
+		if( position > samples.length - 1 && !source.loop ){
+
+			source.isFinished = true
+			return 0
+		}
+
+		const
+		index = Math.floor( position ) % samples.length,
+		alpha = position - Math.floor( position ),
+		a = +samples[ index ],
+		b = +samples[ source.loop ? ( index + 1 ) % samples.length : Math.min( index + 1, samples.length - 1 )]
+
+		return ( a + ( b - a ) * alpha ) * source.gain
+	}
+	if( source.type === 'analyser' ){
+
+		if( source.renderedAt !== THREE.VRController.frame ){
+
+			const node = source.node
+			let sum = 0, i
+
+			if( typeof node.getFloatTimeDomainData === 'function' ){
+
+				if( source.buffer === undefined || source.buffer.length !== node.fftSize ) source.buffer = new Float32Array( node.fftSize )
+				node.getFloatTimeDomainData( source.buffer )
+				for( i = 0; i < source.buffer.length; i ++ ) sum += source.buffer[ i ] * source.buffer[ i ]
+			}
+			else {
+
+				if( source.buffer === undefined || source.buffer.length !== node.fftSize ) source.buffer = new Uint8Array( node.fftSize )
+				node.getByteTimeDomainData( source.buffer )
+				for( i = 0; i < source.buffer.length; i ++ ) sum += Math.pow(( source.buffer[ i ] - 128 ) / 128, 2 )
+			}
+			source.renderedAt = THREE.VRController.frame
+			source.intensity  = Math.sqrt( sum / source.buffer.length ) * source.gain
+		}
+		return source.intensity
+	}
+	return 0
+}
+
+
+
+
+//  Easing functions for vibe commands. Each takes progress from 0 to 1
+//  and returns how far along the intensity should be. Pass a name or your
+//  own function anywhere we ask for an easing.
+
+THREE.VRController.easings = {
+
+	step:          function( t ){ return t < 1 ? 0 : 1 },
+	linear:        function( t ){ return t },
+	'ease-in':     function( t ){ return t * t },
+	'ease-out':    function( t ){ return t * ( 2 - t ) },
+	'ease-in-out': function( t ){ return t < 0.5 ? 2 * t * t : -1 + ( 4 - 2 * t ) * t }
+}
+THREE.VRController.getEasing = function( easing ){
+
+	if( typeof easing === 'function' ) return easing
+	if( THREE.VRController.easings[ easing ] === undefined ){
+
+		throw new Error( 'THREE.VRController.getEasing: unknown easing "'+ easing +'". Expected a function or one of: '+ Object.keys( THREE.VRController.easings ).join( ', ' ))
+	}
+	return THREE.VRController.easings[ easing ]
+}
+
+
+//  A vibe pattern is a list of keyframes, each [ milliseconds, intensity ]
+//  or [ milliseconds, intensity, easing ], with times measured from the
+//  start of the pattern. Add a duration if the pattern should last longer
+//  than its last keyframe -- say, a pause between heartbeats -- and a repeat
+//  count if it should loop. Use Infinity to loop until stopped.
+
+THREE.VRController.vibePatterns = {}
+THREE.VRController.addVibePattern = function( name, pattern ){
+
+	if( typeof name !== 'string' || name === '' ){
+
+		throw new Error( 'THREE.VRController.addVibePattern: expected a name for the pattern.' )
+	}
+	THREE.VRController.vibePatterns[ name ] = THREE.VRController.validateVibePattern( pattern, name )
+	return THREE.VRController.vibePatterns[ name ]
+}
+THREE.VRController.validateVibePattern = function( pattern, name ){
+
+	const
+	keyframes = pattern !== undefined && pattern !== null ? pattern.keyframes : undefined,
+	problem = 'THREE.VRController.validateVibePattern: pattern '+ ( name !== undefined ? '"'+ name +'" ' : '' )
+
+	if( !Array.isArray( keyframes ) || keyframes.length === 0 ){
+
+		throw new Error( problem +'needs a keyframes Array of [ milliseconds, intensity, easing ] entries.' )
+	}
+	keyframes.forEach( function( keyframe, i ){
+
+		if( !Array.isArray( keyframe ) || typeof keyframe[ 0 ] !== 'number' || typeof keyframe[ 1 ] !== 'number' ){
+
+			throw new Error( problem +'has an invalid keyframe at index '+ i +'. Expected [ milliseconds, intensity, easing ].' )
+		}
+		if( i > 0 && keyframe[ 0 ] < keyframes[ i - 1 ][ 0 ]){
+
+			throw new Error( problem +'has keyframes out of order at index '+ i +'.' )
+		}
+		if( keyframe[ 2 ] !== undefined ) THREE.VRController.getEasing( keyframe[ 2 ])
+	})
+	return {
+
+		name:      name,
+		keyframes: keyframes,
+		duration:  pattern.duration !== undefined ? pattern.duration : keyframes[ keyframes.length - 1 ][ 0 ],
+		repeat:    pattern.repeat   !== undefined ? pattern.repeat   : 1
+	}
+}
+THREE.VRController.getVibePattern = function( pattern ){
+
+	if( typeof pattern !== 'string' ) return THREE.VRController.validateVibePattern( pattern )
+	if( THREE.VRController.vibePatterns[ pattern ] === undefined ){
+
+		throw new Error( 'THREE.VRController.getVibePattern: unknown pattern "'+ pattern +'". Expected one of: '+ Object.keys( THREE.VRController.vibePatterns ).join( ', ' ))
+	}
+	return THREE.VRController.vibePatterns[ pattern ]
+}
+THREE.VRController.scheduleVibePattern = function( channel, pattern, start, gain ){
+
+	pattern.keyframes.forEach( function( keyframe ){
+
+		channel.push([ start + keyframe[ 0 ], keyframe[ 1 ] * gain, keyframe[ 2 ]])
+	})
+}
+
+
+//  Attack, decay, sustain, release. Times are in milliseconds and hold is
+//  how long we sustain before releasing. Peak and sustain are intensities.
+
+THREE.VRController.createVibeEnvelope = function( settings ){
+
+	const
+	attack  = settings.attack  !== undefined ? settings.attack  : 10,
+	decay   = settings.decay   !== undefined ? settings.decay   : 50,
+	hold    = settings.hold    !== undefined ? settings.hold    : 0,
+	release = settings.release !== undefined ? settings.release : 100,
+	peak    = settings.peak    !== undefined ? settings.peak    : 1,
+	sustain = settings.sustain !== undefined ? settings.sustain : 0.5
+
+	return {
+
+		keyframes: [
+
+			[ 0, 0 ],
+			[ attack, peak, 'linear' ],
+			[ attack + decay, sustain, 'linear' ],
+			[ attack + decay + hold, sustain ],
+			[ attack + decay + hold + release, 0, 'linear' ]
+		],
+		repeat: settings.repeat !== undefined ? settings.repeat : 1
+	}
+}
+
+
+//  A few to get you started.
+
+THREE.VRController.addVibePattern( 'click', {
+
+	keyframes: [[ 0, 0.6 ], [ 20, 0 ]]
+})
+THREE.VRController.addVibePattern( 'thud', THREE.VRController.createVibeEnvelope({
+
+	attack: 5, peak: 1, decay: 60, sustain: 0.3, hold: 0, release: 120
+}))
+THREE.VRController.addVibePattern( 'heartbeat', {
+
+	keyframes: [
+
+		[   0, 0 ],
+		[  40, 0.8, 'ease-out' ],
+		[ 110, 0,   'ease-in' ],
+		[ 180, 0 ],
+		[ 220, 0.5, 'ease-out' ],
+		[ 300, 0,   'ease-in' ]
+	],
+	duration: 900,
+	repeat: Infinity
+})
+THREE.VRController.addVibePattern( 'engine', {
+
+	keyframes: [
+
+		[   0, 0.3 ],
+		[ 120, 0.45, 'ease-in-out' ],
+		[ 240, 0.3,  'ease-in-out' ]
+	],
+	repeat: Infinity
+})
+
+
+
+
+    /////////////////
+   //             //
+  //   Statics   //
+ //             //
+/////////////////
+
+
+//  This makes inspecting through the console a little bit saner.
+//  Expected values range from 0 (silent) to 1 (everything).
+
+THREE.VRController.verbosity = 0//0.5 or 0.7 are good...
+
+
+//  Default settings for every named axes pair. Each entry of an axes list in
+//  THREE.VRController.supported can override these, and so can you at
+//  runtime via controller.setAxesSettings().
+//
+//  deadzone:     Values closer to center than this read as exactly zero.
+//  deadzoneType: 'radial' treats the pair as one 2D stick (best for sticks),
+//                'axial' gives each axis its own deadzone (think d-pads).
+//  saturation:   Values beyond this read as fully deflected. Handy for
+//                sticks that never quite reach ±1.
+//  curve:        Response curve applied between deadzone and saturation.
+//                A Number is an exponent (1 = linear, 2 = finer control
+//                near center) or pass your own function( t ){ return t }.
+//  epsilon:      Smallest change worth firing an 'axes changed' event for.
+
+THREE.VRController.axesDefaults = {
+
+	deadzone:     0,
+	deadzoneType: 'radial',
+	saturation:   1,
+	curve:        1,
+	epsilon:      0,
+
+
+	//  For the virtual d-pad buttons built from each axes pair.
+	//
+	//  dpadDirections: 4 for up, down, left, right. 8 adds the diagonals.
+	//                  Either way only one direction is pressed at a time.
+	//  dpadThreshold:  How far from center before a direction is pressed.
+	//  dpadHysteresis: Once pressed, how much further back toward center
+	//                  (and how far into a neighboring direction, as a
+	//                  fraction of its width) before we let go. This keeps
+	//                  a wobbly thumb from rapid-firing presses.
+	//  dpadActivation: 'always', 'touch' (the same-named button must be
+	//                  touched), or 'click' (it must be pressed). 'auto'
+	//                  means 'touch' for thumbpads and 'always' otherwise.
+	//                  Try 'click' on a Vive thumbpad for a real d-pad feel.
+
+	dpadDirections: 4,
+	dpadThreshold:  0.5,
+	dpadHysteresis: 0.1,
+	dpadActivation: 'auto'
+}
+
+
+//  Default pose smoothing settings. An entry in THREE.VRController.supported
+//  can override these with its own smoothing: {} object, and so can you for
+//  a whole style of controller before it connects:
+//    THREE.VRController.smoothingStyles[ 'vive' ] = { enabled: true }
+//  Or tweak any controller’s own copy at runtime:
+//    controller.smoothing.enabled = true
+//  (See Motion below for the One Euro filter these feed.)
+//
+//  enabled:              Off by default; smoothing adds a little lag.
+//  positionMinCutoff:    Cutoff frequency (Hz) while the hand is still.
+//                        Lower is steadier but laggier.
+//  positionBeta:         How quickly the cutoff rises with speed (per
+//                        meter per second). Higher means less lag when
+//                        you move fast.
+//  orientationMinCutoff: Same as above but for rotation...
+//  orientationBeta:      ...with speed in radians per second.
+//  derivativeCutoff:     Cutoff frequency (Hz) for the speed estimate.
+
+THREE.VRController.smoothingDefaults = {
+
+	enabled:              false,
+	positionMinCutoff:    1,
+	positionBeta:         5,
+	orientationMinCutoff: 1,
+	orientationBeta:      2,
+	derivativeCutoff:     1
+}
+THREE.VRController.smoothingStyles = {}
+
+
+//  Default pose prediction settings. Each controller gets its own copy as
+//  controller.prediction so you can tune them at runtime.
+//  (See Motion below.)
+//
+//  enabled:    Off by default. When on, update() moves the controller to
+//              where we expect it to be horizon milliseconds from now.
+//  horizon:    How far ahead to look, in milliseconds. Roughly your
+//              input-to-photon latency.
+//  maxHorizon: Never look further ahead than this, in milliseconds, even
+//              when asked for a specific time via getPredictedPose().
+//  window:     Milliseconds of pose history to estimate velocity from.
+
+THREE.VRController.predictionDefaults = {
+
+	enabled:    false,
+	horizon:    20,
+	maxHorizon: 50,
+	window:     30
+}
+
+
+//  What to do when a controller loses tracking. Each controller gets its
+//  own copy as controller.trackingLoss. (See Tracking below.)
+//
+//  policy:          'freeze' stays put, 'hide' stays put but invisible,
+//                   'fade' stays put while fading out, and 'rest' drops
+//                   down to a resting pose relative to your head.
+//  fadeDuration:    Milliseconds to fade out over.
+//  restPosition:    Relative to the head (turning with it but ignoring
+//                   pitch and roll) for a right hand. Mirrored for a left.
+//  restOrientation: Also relative to the head, as [ x, y, z, w ].
+
+THREE.VRController.trackingLossDefaults = {
+
+	policy:          'freeze',
+	fadeDuration:    500,
+	restPosition:    [ 0.2, -0.6, -0.2 ],
+	restOrientation: [ 0, 0, 0, 1 ]
+}
+
+
+//  A controller with no pose at all might just be behind your back, so we
+//  wait this many milliseconds before deciding it’s really disconnected.
+
+THREE.VRController.untrackedTimeout = 3000
+
+
+//  Want Xbox, PlayStation, and friends too? Gamepads without a pose that
+//  use the 'standard' mapping become controllers with a dof of 0 and
+//  standard button names. They announce themselves with a
+//  'standard gamepad connected' event rather than 'vr controller connected'
+//  so they won’t surprise code that expects hands. Off unless you opt in.
+
+THREE.VRController.includeStandardGamepads = false
+THREE.VRController.isStandardGamepad = function( gamepad ){
+
+	return ( gamepad.pose === undefined || gamepad.pose === null ) &&
+		gamepad.mapping === 'standard' &&
+		!( gamepad instanceof THREE.VRController.XRGamepad )
+}
+THREE.VRController.processAxes = function( values, settings ){
+
+	var
+	deadzone   = settings.deadzone,
+	saturation = settings.saturation,
+	curve      = settings.curve,
+	shape      = function( magnitude ){
+
+		var t = ( Math.min( magnitude, saturation ) - deadzone ) / ( saturation - deadzone )
+
+		if( magnitude <= deadzone ) return 0
+		t = Math.min( 1, Math.max( 0, t ))
+		return typeof curve === 'function' ? curve( t ) : Math.pow( t, curve )
+	},
+	magnitude
+
+	if( settings.deadzoneType === 'axial' ){
+
+		return values.map( function( value ){
+
+			return Math.sign( value ) * shape( Math.abs( value ))
+		})
+	}
+	magnitude = Math.sqrt( values.reduce( function( sum, value ){
+
+		return sum + value * value
+
+	}, 0 ))
+	if( magnitude === 0 ) return values.map( function(){ return 0 })
+	return values.map( function( value ){
+
+		return Math.max( -1, Math.min( 1, value * shape( magnitude ) / magnitude ))
+	})
+}
+
+
+//  Directions are listed counter-clockwise starting from the right,
+//  in the same order as the angles they sit at: 0˚, 45˚, 90˚, and so on.
+//  Remember that for our axes “up” is Y = -1.
+
+THREE.VRController.DPAD_DIRECTIONS = [
+
+	'right', 'up-right', 'up', 'up-left',
+	'left', 'down-left', 'down', 'down-right'
+]
+THREE.VRController.getDpadDirection = function( values, current, settings ){
+
+	var
+	directions = THREE.VRController.DPAD_DIRECTIONS,
+	step       = settings.dpadDirections === 8 ? 1 : 2,
+	width      = Math.PI * 2 / ( 8 / step ),
+	magnitude  = Math.sqrt( values[ 0 ] * values[ 0 ] + values[ 1 ] * values[ 1 ]),
+	angle      = Math.atan2( -values[ 1 ], values[ 0 ]),
+	index, offset
+
+	if( current !== null ){
+
+		if( magnitude < settings.dpadThreshold - settings.dpadHysteresis ) return null
+
+
+		//  Are we still within the current direction’s slice of the pie,
+		//  give or take a little hysteresis? (If you’ve just switched from
+		//  8 to 4 directions a diagonal no longer has a slice at all.)
+
+		index  = directions.indexOf( current )
+		offset = angle - index * Math.PI / 4
+		offset = Math.abs( Math.atan2( Math.sin( offset ), Math.cos( offset )))
+		if( index % step === 0 && offset <= width / 2 + width * settings.dpadHysteresis ) return current
+	}
+	if( magnitude < settings.dpadThreshold ) return null
+	index = Math.round( angle / width ) * step
+	return directions[(( index % 8 ) + 8 ) % 8 ]
+}
+
+
+//  Arriving at or leaving zero ALWAYS counts as a change, no matter how
+//  small, otherwise you might never hear that a stick came to rest.
+
+THREE.VRController.axesDiffer = function( a, b, epsilon ){
+
+	return a.some( function( value, i ){
+
+		return ( value === 0 ) !== ( b[ i ] === 0 ) || Math.abs( value - b[ i ]) > epsilon
+	})
+}
+
+
+//  Where do gamepads and time come from? Usually the browser, but you can
+//  point these elsewhere. This is how our Simulator (see below) plugs in
+//  fake devices so your interaction code can be tested without a headset.
+
+THREE.VRController.getGamepads = function(){
+
+	if( typeof navigator === 'undefined' || navigator.getGamepads === undefined ) return undefined
+	return navigator.getGamepads()
+}
+THREE.VRController.now = function(){
+
+	return window.performance.now()
+}
+THREE.VRController.setTimeout = function( callback, duration ){
+
+	return window.setTimeout( callback, duration )
+}
+
+
+//  How long we wait after finding a controller before announcing it
+//  with the 'vr controller connected' event.
+
+THREE.VRController.CONNECT_DELAY = 500
+
+
+//  We need to keep a record of found controllers
+//  and have some connection / disconnection handlers.
+
+THREE.VRController.controllers = []
+THREE.VRController.onGamepadConnect = function( gamepad ){
+
+
+	//  Let’s create a new controller object
+	//  that’s really an extended THREE.Object3D
+	//  and pass it a reference to this gamepad.
+
+	var
+	scope = THREE.VRController,
+	controller = new scope( gamepad ),
+	hapticActuators = controller.gamepad.hapticActuators
+
+
+	//  We also need to store this reference somewhere so that we have a list
+	//  controllers that we know need updating, and by using the gamepad.index
+	//  as the key we also know which gamepads have already been found.
+
+	scope.controllers[ gamepad.index ] = controller
+
+
+	//  Now we’ll broadcast a global connection event.
+	//  We’re not using THREE’s dispatchEvent because this event
+	//  is the means of delivering the controller instance.
+	//  How would we listen for events on the controller instance
+	//  if we don’t already have a reference to it?!
+
+	var type = controller.isStandardGamepad ? 'standard gamepad connected' : 'vr controller connected'
+
+	if( scope.verbosity >= 0.5 ) console.log( type, controller )
+	if( scope.verbosity >= 0.7 ) console.log( controller.inspect() )
+	scope.setTimeout( function(){
+
+		window.dispatchEvent( new CustomEvent( type, { detail: controller }))
+
+	}, scope.CONNECT_DELAY )
+}
+THREE.VRController.onGamepadDisconnect = function( gamepad ){
+
+
+	//  We need to find the controller that holds the reference to this gamepad.
+	//  Then we can broadcast the disconnection event on the controller itself
+	//  and also overwrite our controllers object with undefined. Goodbye!
+	//  When you receive this event don’t forget to remove your meshes and whatnot
+	//  from your scene so you can either reuse them upon reconnect -- or you
+	//  should detroy them. You don’t want memory leaks, right?
+
+	var
+	scope = THREE.VRController,
+	controller = scope.controllers[ gamepad.index ]
+
+	if( scope.verbosity >= 0.5 ) console.log(( controller.isStandardGamepad ? 'standard gamepad' : 'vr controller' ) +' disconnected', controller )
+	controller.trackingState = 'disconnected'
+	controller.dispatchEvent({ type: 'disconnected', controller: controller })
+	scope.controllers[ gamepad.index ] = undefined
+}
+
+
+//  No orientation and no position doesn’t necessarily mean gone. Your hand
+//  might just be behind your back. So we keep updating -- buttons still
+//  work! -- and only give up once it’s been untracked for too long.
+//  Returns true if we did give up.
+
+THREE.VRController.onGamepadUntracked = function( gamepad ){
+
+	var
+	scope = THREE.VRController,
+	controller = scope.controllers[ gamepad.index ]
+
+	controller.update()
+	if( scope.now() - controller.untrackedSince > scope.untrackedTimeout ){
+
+		scope.onGamepadDisconnect( gamepad )
+		return true
+	}
+	return false
+}
+
+
+//  This is what makes everything so convenient. We keep track of found
+//  controllers right here. And by adding this one update function into your
+//  animation loop we automagically update all the controller positions,
+//  orientations, and button states.
+//  Why not just wrap this in its own requestAnimationFrame loop? Performance!
+//  https://jsperf.com/single-raf-draw-calls-vs-multiple-raf-draw-calls
+//  But also, you will likely be switching between window.requestAnimationFrame
+//  which aims for 60fps and vrDisplay.requestAnimationFrame which aims for 90
+//  when switching between non-VR and VR rendering. This makes it trivial to
+//  make the choices YOU want to.
+//  Using WebXR instead of WebVR? Pass along the XRFrame your animation loop
+//  receives (and your XRReferenceSpace) and we’ll take it from there:
+//  THREE.VRController.update( frame, referenceSpace )
+
+THREE.VRController.frame = 0
+THREE.VRController.update = function( xrFrame, xrReferenceSpace ){
+
+	var gamepads, gamepad, i
+
+
+	//  Counting frames lets anything that should only happen once per
+	//  update -- like reading an AnalyserNode -- know when it already has.
+
+	THREE.VRController.frame ++
+
+
+	//  WebXR browsers don’t expose their controllers through getGamepads
+	//  at all, so if we’ve been handed a frame that’s our cue to go that way.
+
+	if( xrFrame !== undefined ) return THREE.VRController.updateXR( xrFrame, xrReferenceSpace )
+
+
+	//  Where’s your head at? (See Head below.)
+
+	THREE.VRController.updateHeadFromVRDisplay()
+
+
+	//  Yes, we need to scan the gamepads Array with each update loop
+	//  because it is the *safest* way to detect new gamepads / lost gamepads
+	//  and we avoid Doob’s proposed problem of a user accidentally including
+	//  VRControllers.js multiple times if we were using 'ongamepadconnected'
+	//  and 'ongamepaddisconnected' events firing multiple times.
+	//  Also... those connection events are not widely supported yet anyhow.
+
+	gamepads = THREE.VRController.getGamepads()
+
+
+	//  Before we do anything else we ought to see if getGamepads even exists.
+	// (Perhaps in addition to actual VR rigs you’re also supporting
+	//  iOS devices via magic window?) If it doesn’t exist let’s bail:
+
+	if( gamepads === undefined ) return
+
+
+	//  Anyone taking notes? (See Recorder below.)
+
+	THREE.VRController.recorders.forEach( function( recorder ){
+
+		recorder.capture( gamepads )
+	})
+
+
+	//  Any controller whose gamepad has left the list entirely is certainly
+	//  gone. (Controllers from WebXR don’t live in this list at all.)
+
+	this.controllers.forEach( function( controller, i ){
+
+		if( controller !== undefined &&
+			!( controller.gamepad instanceof THREE.VRController.XRGamepad ) &&
+			( gamepads[ i ] === undefined || gamepads[ i ] === null )){
+
+			THREE.VRController.onGamepadDisconnect( controller.gamepad )
+		}
+	})
+
+
+	//  For some reason the early examples of using the Gamepad API iterate over
+	//  a fixed range: 0..3. But MS Edge seems to have 4 nulls (why?!) and then
+	//  add the Motion Controllers to index 4 and 5!
+
+	for( i = 0; i < gamepads.length; i ++ ){
+
+
+		//  The Gamepad API is a funny thing. I wrote about some of its 
+		//  quirks, specifically in Chromium, here:
+		//  https://medium.com/@stew_rtsmith/webvr-controllers-and-chromiums-gamepad-api-6c9adc633f38
+		//  For brevity here I’ll just say we won’t outright accept what the 
+		//  API tells us exists. (It can create ghost controllers!)
+		//  Instead we will consider a Gamepad exists only when it is reported
+		//  by the API and ALSO has not-null position or not-null orientation.
+
+		//  Could probably change this to “if( gamepad instanceof Gamepad )”
+		//  but dealing with these things across browsers and devices has made
+		//  me extra paranoid. Best to verify the pose object is really there.
+
+		gamepad = gamepads[ i ]
+		if( gamepad      !== undefined &&//  Just for you, Microsoft Edge!
+			gamepad      !== null &&     //  Meanwhile Chrome and Firefox do it this way.
+			gamepad.pose !== undefined &&
+			gamepad.pose !== null ){
+
+
+			//  We've just confirmed that a “ready” Gamepad instance exists in
+			//  this slot. If it’s not already in our controllers list we need
+			//  to initiate it! Either way we need to call update() on it.
+
+			if( gamepad.connected !== false &&
+				( gamepad.pose.orientation !== null || gamepad.pose.position !== null )){
+
+				if( this.controllers[ i ] === undefined ) THREE.VRController.onGamepadConnect( gamepad )
+				this.controllers[ i ].update()
+			}
+
+
+			//  If we’ve lost orientation and position then we’ve MAYBE lost
+			//  this controller. Unfortunately we cannot rely on
+			//  gamepad.connected because it will ALWAYS equal true -- even if
+			//  you power down the controller! (At least in Chromium.) That
+			//  doesn’t seem like the API’s intended behavior but it’s what I
+			//  see in practice. When it IS false though, we believe it.
+
+			else if( this.controllers[ i ] !== undefined ){
+
+				if( gamepad.connected === false ) THREE.VRController.onGamepadDisconnect( gamepad )
+				else THREE.VRController.onGamepadUntracked( gamepad )
+			}
+		}
+
+
+		//  No pose at all? It might still be a plain old gamepad worth
+		//  having, if you’ve asked for those. And if you’ve since changed
+		//  your mind we’ll say goodbye.
+
+		else if( gamepad !== undefined &&
+			gamepad !== null &&
+			THREE.VRController.isStandardGamepad( gamepad )){
+
+			if( gamepad.connected !== false &&
+				THREE.VRController.includeStandardGamepads ){
+
+				if( this.controllers[ i ] === undefined ) THREE.VRController.onGamepadConnect( gamepad )
+				this.controllers[ i ].update()
+			}
+			else if( this.controllers[ i ] !== undefined ) THREE.VRController.onGamepadDisconnect( gamepad )
+		}
+	}
+	THREE.VRController.pollActions()
+}
+THREE.VRController.inspect = function(){
+
+	THREE.VRController.controllers.forEach( function( controller ){
+
+		console.log( '\n'+ controller.inspect() )
+	})
+}
+
+
+
+
+
+    ///////////////
+   //           //
+  //   WebXR   //
+ //           //
+///////////////
+
+
+//  WebXR doesn’t hand us Gamepad instances with a .pose. Instead each
+//  XRInputSource in XRSession.inputSources has a grip space (where your
+//  hand is), a target ray space (where you’re pointing), and -- if it has
+//  buttons or axes -- a .gamepad. Rather than teach every bit of code above
+//  about a second API we wrap each input source in something that quacks
+//  like a WebVR Gamepad. That way events, haptics, and everything else
+//  behave exactly the same no matter which API the browser speaks.
+
+THREE.VRController.XRGamepad = function( inputSource, index ){
+
+	var profiles = inputSource.profiles || []
+
+
+	//  WebXR gamepad IDs are usually empty strings. The input profiles list
+	//  is where the good stuff is, ordered from most to least specific,
+	//  for example: [ 'oculus-touch-v2', 'oculus-touch', 'generic-trigger-
+	//  squeeze-thumbstick' ]. We’ll use the first one we have support for.
+
+	this.id = profiles.find( function( profile ){
+
+		return THREE.VRController.getSupported( profile, inputSource.handedness === 'none' ? '' : inputSource.handedness ) !== undefined
+
+	}) || profiles[ 0 ] || inputSource.gamepad.id || 'WebXR Input Source'
+	this.index = index
+	this.inputSource = inputSource
+	this.connected = true
+	this.mapping = inputSource.gamepad.mapping
+
+
+	//  Same shape as a WebVR GamepadPose, but with plain Arrays.
+	//  The target ray is extra; it’s handy for pointing at things.
+
+	this.pose = {
+
+		hasOrientation: true,
+		hasPosition:    true,
+		orientation:    null,
+		position:       null
+	}
+	this.targetRayPose = null
+}
+Object.defineProperties( THREE.VRController.XRGamepad.prototype, {
+
+
+	//  WebVR reports '' for “don’t know” whereas WebXR reports 'none'.
+
+	hand: { get: function(){
+
+		return this.inputSource.handedness === 'none' ? '' : this.inputSource.handedness
+	}},
+	axes: { get: function(){
+
+		return this.inputSource.gamepad.axes
+	}},
+	buttons: { get: function(){
+
+		return this.inputSource.gamepad.buttons
+	}},
+	hapticActuators: { get: function(){
+
+		return this.inputSource.gamepad.hapticActuators
+	}},
+	vibrationActuator: { get: function(){
+
+		return this.inputSource.gamepad.vibrationActuator
+	}}
+})
+THREE.VRController.XRGamepad.prototype.update = function( frame, referenceSpace ){
+
+	var
+	inputSource = this.inputSource,
+	gripPose = inputSource.gripSpace ? frame.getPose( inputSource.gripSpace, referenceSpace ) : null,
+	rayPose  = frame.getPose( inputSource.targetRaySpace, referenceSpace ),
+	pose = gripPose || rayPose,
+	toArrays = function( xrPose ){ return {
+
+		position:    [ xrPose.transform.position.x, xrPose.transform.position.y, xrPose.transform.position.z ],
+		orientation: [ xrPose.transform.orientation.x, xrPose.transform.orientation.y, xrPose.transform.orientation.z, xrPose.transform.orientation.w ]
+	}}
+
+
+	//  No pose means no tracking. We report that the same way WebVR does:
+	//  by nulling out both position and orientation.
+
+	if( pose ){
+
+		Object.assign( this.pose, toArrays( pose ))
+
+
+		//  3DOF devices like Oculus Go get an emulated position from the
+		//  browser’s own arm model. That’s a perfectly good position to use
+		//  but we shouldn’t claim the device can really track it.
+
+		this.pose.hasPosition = !pose.emulatedPosition
+	}
+	else {
+
+		this.pose.orientation = null
+		this.pose.position    = null
+	}
+	this.targetRayPose = rayPose ? toArrays( rayPose ) : null
+}
+
+
+//  Our WebXR equivalent of the getGamepads() scan below. We keep one
+//  XRGamepad per XRInputSource and find them a free slot in our controllers
+//  list, which is why you might see WebXR controllers at index 0 and 1
+//  even though they don’t come from the Gamepad API.
+
+THREE.VRController.xrGamepads = new Map()
+THREE.VRController.xrReferenceSpace = undefined
+THREE.VRController.updateXR = function( frame, referenceSpace ){
+
+	var
+	scope = THREE.VRController,
+	session = frame.session,
+	inputSources = session.inputSources,
+	inputSource, gamepad, gamepads, index, i
+
+	if( referenceSpace === undefined ) referenceSpace = scope.xrReferenceSpace
+	if( referenceSpace === undefined ) return
+	scope.updateHeadFromXRFrame( frame, referenceSpace )
+
+
+	//  When the session ends its input sources go with it. We won’t be
+	//  receiving any more frames to notice that, so let’s listen for it.
+
+	if( scope.xrSession !== session ){
+
+		scope.xrSession = session
+		session.addEventListener( 'end', function(){
+
+			scope.xrGamepads.forEach( function( gamepad, inputSource ){
+
+				if( gamepad.session === session ){
+
+					if( scope.controllers[ gamepad.index ] !== undefined ) scope.onGamepadDisconnect( gamepad )
+					scope.xrGamepads.delete( inputSource )
+				}
+			})
+		})
+	}
+
+
+	//  Input sources without a gamepad -- screen taps, gaze, and so on --
+	//  have no buttons for us to name so we leave those to you.
+
+	for( i = 0; i < inputSources.length; i ++ ){
+
+		inputSource = inputSources[ i ]
+		if( inputSource.gamepad === undefined || inputSource.gamepad === null ) continue
+		gamepad = scope.xrGamepads.get( inputSource )
+		if( gamepad === undefined ){
+
+			index = 0
+			while( scope.controllers[ index ] !== undefined ) index ++
+			gamepad = new scope.XRGamepad( inputSource, index )
+			gamepad.session = session
+			scope.xrGamepads.set( inputSource, gamepad )
+		}
+		gamepad.update( frame, referenceSpace )
+
+
+		//  Exact same rules as our WebVR scan: we consider a controller
+		//  connected only when it’s reporting a pose, and give one that
+		//  stops a little while to find itself again.
+
+		if( gamepad.pose.orientation !== null || gamepad.pose.position !== null ){
+
+			if( scope.controllers[ gamepad.index ] === undefined ) scope.onGamepadConnect( gamepad )
+			scope.controllers[ gamepad.index ].update()
+		}
+		else if( scope.controllers[ gamepad.index ] === undefined || scope.onGamepadUntracked( gamepad )){
+
+			scope.xrGamepads.delete( inputSource )
+		}
+	}
+
+
+	//  Anything we were tracking that’s no longer listed
+	//  has been unplugged, powered down, or put down.
+
+	scope.xrGamepads.forEach( function( gamepad, inputSource ){
+
+		if( Array.prototype.indexOf.call( inputSources, inputSource ) < 0 ){
+
+			if( scope.controllers[ gamepad.index ] !== undefined ) scope.onGamepadDisconnect( gamepad )
+			scope.xrGamepads.delete( inputSource )
+		}
+	})
+	scope.pollActions()
+	if( scope.recorders.length ){
+
+		gamepads = Array.from( scope.xrGamepads.values() )
+		scope.recorders.forEach( function( recorder ){
+
+			recorder.capture( gamepads )
+		})
+	}
+}
+
+
+
+
+
+
+
+
+    ///////////////////
+   //               //
+  //   Simulator   //
+ //               //
+///////////////////
+
+
+//  Want to test your interaction code in Node or on a CI server where
+//  there’s no headset, no browser, and no Gamepad API? We can fake it.
+//  A SimulatedGamepad looks just like a WebVR Gamepad instance and it goes
+//  through the exact same update(), pollForChanges(), and applyVibes()
+//  code paths as the real thing. Button and axes names are looked up from
+//  THREE.VRController.supported so you can script it like so:
+//
+//    const simulator = new THREE.VRController.Simulator()
+//    simulator.install()
+//    const touch = simulator.connect( 'Oculus Touch (Left)' )
+//    touch.setPose([ 0, 1, -0.5 ], [ 0, 0, 0, 1 ])
+//    touch.press( 'trigger' )
+//    touch.setAxes( 'thumbstick', [ 0.5, -1 ])
+//    THREE.VRController.update()
+//    touch.pulses//  Every haptic pulse the controller received.
+//
+//  Note that axes values are what the DEVICE would report, so a simulated
+//  Vive thumbpad has a “Goofy” Y-axis just like the real one.
+//  Outside of a browser you’ll need a window object that provides
+//  performance, dispatchEvent, and CustomEvent (jsdom works), plus
+//  setTimeout unless you install the Simulator with { clock: true }.
+
+THREE.VRController.SimulatedGamepad = function( id, options ){
+
+	var
+	gamepad   = this,
+	supported,
+	axesCount = 0,
+	buttonCount,
+	i
+
+	if( options === undefined ) options = {}
+	this.id        = id
+	this.index     = options.index !== undefined ? options.index : 0
+	this.mapping   = options.mapping !== undefined ? options.mapping : ( options.dof === 0 ? 'standard' : '' )
+	this.connected = true
+	this.timestamp = THREE.VRController.now()
+
+
+	//  If you don’t tell us which hand we’ll take a hint from the ID,
+	//  which works nicely for 'Oculus Touch (Left)' and friends.
+
+	if( options.hand !== undefined ) this.hand = options.hand
+	else if( /left/i.test( id )) this.hand = 'left'
+	else if( /right/i.test( id )) this.hand = 'right'
+	else this.hand = ''
+
+
+	//  By default we’re a 6DOF controller resting at the origin.
+	//  Pass { dof: 3 } to simulate a Daydream, Oculus Go, and so on,
+	//  or { dof: 0 } for an Xbox-style gamepad with no pose at all.
+
+	if( options.dof === 0 ) this.pose = null
+	else this.pose = {
+
+		hasOrientation: true,
+		hasPosition:    options.dof !== 3,
+		orientation:    [ 0, 0, 0, 1 ],
+		position:       options.dof !== 3 ? [ 0, 0, 0 ] : null
+	}
+
+
+	//  How many buttons and axes? Again, you can tell us, otherwise
+	//  we’ll look for how many we know this device ought to have.
+
+	supported = THREE.VRController.getSupported( id, this.hand, this )
+	if( supported !== undefined && supported.axes !== undefined ){
+
+		supported.axes.forEach( function( axesMap ){
+
+			axesMap.indexes.forEach( function( index ){
+
+				axesCount = Math.max( axesCount, index + 1 )
+			})
+		})
+	}
+	buttonCount = supported !== undefined && supported.buttons !== undefined ? supported.buttons.length : 2
+	if( options.buttons !== undefined ) buttonCount = options.buttons
+	if( options.axes    !== undefined ) axesCount   = options.axes
+	this.supported = supported
+	this.axes = []
+	for( i = 0; i < axesCount; i ++ ) this.axes.push( 0 )
+	this.buttons = []
+	for( i = 0; i < buttonCount; i ++ ) this.buttons.push({ value: 0, pressed: false, touched: false })
+
+
+	//  Our fake haptic actuator just keeps a diary of what it was asked to do.
+	//  Pass { haptics: false } to simulate a device with no haptics at all,
+	//  { actuators: 2 } for more than one, or { haptics: 'dual-rumble' } for
+	//  a standard gamepad’s strong and weak motors which log to effects[].
+
+	this.pulses  = []
+	this.effects = []
+	if( options.haptics === 'dual-rumble' ){
+
+		this.vibrationActuator = {
+
+			type: 'dual-rumble',
+			effects: [ 'dual-rumble' ],
+			playEffect: function( type, params ){
+
+				gamepad.effects.push( Object.assign({ type: type, time: THREE.VRController.now() }, params ))
+				return Promise.resolve( 'complete' )
+			},
+			reset: function(){
+
+				return Promise.resolve( 'complete' )
+			}
+		}
+	}
+	else if( options.haptics !== false ){
+
+		this.hapticActuators = []
+		for( i = 0; i < ( options.actuators !== undefined ? options.actuators : 1 ); i ++ ){
+
+			this.hapticActuators.push({
+
+				type: 'vibration',
+				pulse: ( function( actuator ){ return function( value, duration ){
+
+					gamepad.pulses.push({ value: value, duration: duration, time: THREE.VRController.now(), actuator: actuator })
+					return Promise.resolve( true )
+				}})( i )
+			})
+		}
+	}
+}
+
+
+//  Find a button index by name, 'primary', or plain old index.
+
+THREE.VRController.SimulatedGamepad.prototype.getButtonIndex = function( nameOrIndex ){
+
+	var supported = this.supported, index = -1
+
+	if( typeof nameOrIndex === 'number' ) index = nameOrIndex
+	else if( supported !== undefined && supported.buttons !== undefined ){
+
+		index = supported.buttons.indexOf( nameOrIndex === 'primary' ? supported.primary : nameOrIndex )
+	}
+
+
+	//  Controllers keep their generic 'button_N' names for any slot their
+	//  profile doesn’t name, so we accept those on profiled devices too.
+
+	if( index === -1 && nameOrIndex === 'primary' ) index = this.buttons.length > 1 ? 1 : 0
+	if( index === -1 && typeof nameOrIndex === 'string' && nameOrIndex.startsWith( 'button_' )) index = +nameOrIndex.substr( 7 )
+	if( this.buttons[ index ] === undefined ) throw new Error( 'SimulatedGamepad '+ this.id +' has no button "'+ nameOrIndex +'"' )
+	return index
+}
+THREE.VRController.SimulatedGamepad.prototype.setButton = function( nameOrIndex, state ){
+
+	var button = this.buttons[ this.getButtonIndex( nameOrIndex )]
+
+	Object.assign( button, state )
+	this.timestamp = THREE.VRController.now()
+	return this
+}
+THREE.VRController.SimulatedGamepad.prototype.press = function( nameOrIndex, value ){
+
+	return this.setButton( nameOrIndex, {
+
+		value:   value !== undefined ? value : 1,
+		pressed: true,
+		touched: true
+	})
+}
+THREE.VRController.SimulatedGamepad.prototype.release = function( nameOrIndex ){
+
+	return this.setButton( nameOrIndex, { value: 0, pressed: false, touched: false })
+}
+THREE.VRController.SimulatedGamepad.prototype.touch = function( nameOrIndex ){
+
+	return this.setButton( nameOrIndex, { touched: true })
+}
+THREE.VRController.SimulatedGamepad.prototype.untouch = function( nameOrIndex ){
+
+	return this.setButton( nameOrIndex, { touched: false })
+}
+
+
+//  Axes can be set by name with an Array of values, or by index with
+//  a single value: setAxes( 'thumbpad', [ 0, 1 ]) or setAxes( 1, 0.5 ).
+
+THREE.VRController.SimulatedGamepad.prototype.setAxes = function( nameOrIndex, values ){
+
+	var
+	gamepad = this,
+	supported = this.supported,
+	axesMap
+
+	if( typeof nameOrIndex === 'number' ) this.axes[ nameOrIndex ] = values
+	else {
+
+		if( supported !== undefined && supported.axes !== undefined ){
+
+			axesMap = supported.axes.find( function( axesMap ){
+
+				return axesMap.name === nameOrIndex
+			})
+		}
+		if( axesMap === undefined ) throw new Error( 'SimulatedGamepad '+ this.id +' has no axes "'+ nameOrIndex +'"' )
+		axesMap.indexes.forEach( function( index, i ){
+
+			gamepad.axes[ index ] = values[ i ]
+		})
+	}
+	this.timestamp = THREE.VRController.now()
+	return this
+}
+
+
+//  Accepts Arrays or THREE.Vector3 / THREE.Quaternion instances.
+//  Passing null for either is how you simulate losing tracking.
+
+THREE.VRController.SimulatedGamepad.prototype.setPose = function( position, orientation ){
+
+	if( this.pose === null ) return this
+	if( position !== undefined ){
+
+		this.pose.position = position !== null && position.toArray !== undefined ? position.toArray() : position
+	}
+	if( orientation !== undefined ){
+
+		this.pose.orientation = orientation !== null && orientation.toArray !== undefined ? orientation.toArray() : orientation
+	}
+	this.timestamp = THREE.VRController.now()
+	return this
+}
+THREE.VRController.SimulatedGamepad.prototype.setHand = function( hand ){
+
+	this.hand = hand
+	return this
+}
+THREE.VRController.SimulatedGamepad.prototype.getLastPulse = function(){
+
+	return this.pulses[ this.pulses.length - 1 ]
+}
+
+
+//  The Simulator is our stand-in for navigator.getGamepads(). Install it
+//  and THREE.VRController.update() will only see its simulated gamepads.
+//  Install it with { clock: true } and time will also stand still until you
+//  call simulator.advance( milliseconds ) -- handy for testing anything
+//  that’s scheduled, like setVibe().wait(). That includes the short delay
+//  before 'vr controller connected' fires, so advance past CONNECT_DELAY.
+
+THREE.VRController.Simulator = function(){
+
+	this.gamepads = []
+	this.timers = []
+	this.time = 0
+}
+THREE.VRController.Simulator.prototype.install = function( options ){
+
+	var simulator = this
+
+	if( options === undefined ) options = {}
+	this.priorGetGamepads = THREE.VRController.getGamepads
+	this.priorNow = THREE.VRController.now
+	this.priorSetTimeout = THREE.VRController.setTimeout
+	THREE.VRController.getGamepads = function(){
+
+		return simulator.gamepads
+	}
+	if( options.clock ){
+
+		this.time = this.priorNow()
+		THREE.VRController.now = function(){
+
+			return simulator.time
+		}
+		THREE.VRController.setTimeout = function( callback, duration ){
+
+			simulator.timers.push({ callback: callback, time: simulator.time + duration })
+		}
+	}
+	return this
+}
+THREE.VRController.Simulator.prototype.uninstall = function(){
+
+	if( this.priorGetGamepads !== undefined ) THREE.VRController.getGamepads = this.priorGetGamepads
+	if( this.priorNow !== undefined ) THREE.VRController.now = this.priorNow
+	if( this.priorSetTimeout !== undefined ) THREE.VRController.setTimeout = this.priorSetTimeout
+	return this
+}
+THREE.VRController.Simulator.prototype.advance = function( milliseconds ){
+
+	var simulator = this, due
+
+	this.time += milliseconds
+	due = this.timers.filter( function( timer ){ return timer.time <= simulator.time })
+	this.timers = this.timers.filter( function( timer ){ return timer.time > simulator.time })
+	due.forEach( function( timer ){ timer.callback() })
+	return this
+}
+
+
+//  Connecting takes the first empty slot, just like the Gamepad API does.
+//  Disconnecting leaves the gamepad in its slot, like Chromium, but
+//  without a pose and no longer connected -- so we know it’s really gone
+//  rather than just untracked. To simulate losing tracking use
+//  gamepad.setPose( null, null ) instead.
+
+THREE.VRController.Simulator.prototype.connect = function( id, options ){
+
+	var index = 0, gamepad
+
+	while( this.gamepads[ index ] !== undefined && this.gamepads[ index ] !== null ) index ++
+	gamepad = new THREE.VRController.SimulatedGamepad( id, Object.assign( {}, options, { index: index }))
+	this.gamepads[ index ] = gamepad
+	return gamepad
+}
+THREE.VRController.Simulator.prototype.disconnect = function( gamepad ){
+
+	gamepad.connected = false
+	gamepad.setPose( null, null )
+	return this
+}
+
+
+
+
+
+
+
+
+    //////////////////
+   //              //
+  //   Playback   //
+ //              //
+//////////////////
+
+
+//  That bug your QA team found in the headset? Record it!
+//  A Recorder captures the raw state of every tracked gamepad (and every
+//  standard gamepad) -- ID, hand, pose, buttons, and axes -- on each
+//  THREE.VRController.update() and serializes it to plain JSON:
+//
+//    const recorder = new THREE.VRController.Recorder().start()
+//    ...
+//    recorder.stop()
+//    const json = JSON.stringify( recorder )
+//
+//  A Player feeds that right back through THREE.VRController.update() as
+//  simulated gamepads (see Simulator above) so the same 'press began' and
+//  'axes changed' events fire in the same order:
+//
+//    const player = new THREE.VRController.Player( json ).play()
+//
+//  Or step through it one frame at a time with player.step().
+
+THREE.VRController.RECORDING_FORMAT  = 'THREE.VRController recording'
+THREE.VRController.RECORDING_VERSION = 2//  Version 2 allows pose: null for standard gamepads.
+THREE.VRController.recorders = []
+THREE.VRController.Recorder = function(){
+
+	this.frames = []
+	this.startTime = 0
+	this.isRecording = false
+}
+THREE.VRController.Recorder.prototype.start = function(){
+
+	this.frames = []
+	this.startTime = THREE.VRController.now()
+	this.isRecording = true
+	if( THREE.VRController.recorders.indexOf( this ) < 0 ) THREE.VRController.recorders.push( this )
+	return this
+}
+THREE.VRController.Recorder.prototype.stop = function(){
+
+	var index = THREE.VRController.recorders.indexOf( this )
+
+	if( index > -1 ) THREE.VRController.recorders.splice( index, 1 )
+	this.isRecording = false
+	return this
+}
+
+
+//  We only bother with gamepads that have a pose because those are
+//  the only ones THREE.VRController.update() cares about.
+//  Buttons are stored as compact [ value, pressed, touched ] triplets.
+
+THREE.VRController.Recorder.prototype.capture = function( gamepads ){
+
+	var frame
+
+	if( this.isRecording === false ) return
+	frame = {
+
+		time: THREE.VRController.now() - this.startTime,
+		gamepads: []
+	}
+	Array.prototype.forEach.call( gamepads, function( gamepad ){
+
+		if( gamepad === undefined || gamepad === null ) return
+		if(( gamepad.pose === undefined || gamepad.pose === null ) &&
+			!THREE.VRController.isStandardGamepad( gamepad )) return
+		frame.gamepads.push({
+
+			index:   gamepad.index,
+			id:      gamepad.id,
+			hand:    gamepad.hand,
+			mapping: gamepad.mapping,
+			pose: gamepad.pose === undefined || gamepad.pose === null ? null : {
+
+				hasOrientation: gamepad.pose.hasOrientation,
+				hasPosition:    gamepad.pose.hasPosition,
+				orientation:    gamepad.pose.orientation !== null ? Array.from( gamepad.pose.orientation ) : null,
+				position:       gamepad.pose.position    !== null ? Array.from( gamepad.pose.position )    : null
+			},
+			buttons: Array.prototype.map.call( gamepad.buttons, function( button ){
+
+				return [ button.value, +button.pressed, +button.touched ]
+			}),
+			axes: Array.from( gamepad.axes )
+		})
+	})
+	this.frames.push( frame )
+}
+THREE.VRController.Recorder.prototype.toJSON = function(){
+
+	return {
+
+		format:  THREE.VRController.RECORDING_FORMAT,
+		version: THREE.VRController.RECORDING_VERSION,
+		frames:  this.frames
+	}
+}
+
+
+//  Accepts either the JSON string or the already-parsed Object.
+
+THREE.VRController.Player = function( recording ){
+
+	if( typeof recording === 'string' ) recording = JSON.parse( recording )
+	if( recording === null || typeof recording !== 'object' ||
+		recording.format !== THREE.VRController.RECORDING_FORMAT ){
+
+		throw new Error( 'THREE.VRController.Player: this is not a THREE.VRController recording.' )
+	}
+	if( recording.version > THREE.VRController.RECORDING_VERSION ){
+
+		throw new Error( 'THREE.VRController.Player: recording version '+ recording.version +' is newer than this player supports ('+ THREE.VRController.RECORDING_VERSION +').' )
+	}
+	this.frames = recording.frames
+	this.frameIndex = -1
+	this.gamepads = []
+	this.isPlaying = false
+	this.isInstalled = false
+	this.loop = false
+	this.startTime = 0
+}
+
+
+//  While installed we ARE the gamepad source.
+//  Stopping hands things back to whoever was there before us.
+
+THREE.VRController.Player.prototype.install = function(){
+
+	var player = this
+
+	if( this.isInstalled ) return this
+	this.priorGetGamepads = THREE.VRController.getGamepads
+	THREE.VRController.getGamepads = function(){
+
+		return player.getGamepads()
+	}
+	this.isInstalled = true
+	return this
+}
+THREE.VRController.Player.prototype.play = function(){
+
+	var elapsed = this.frameIndex > -1 ? this.frames[ this.frameIndex ].time : 0
+
+	this.install()
+	this.startTime = THREE.VRController.now() - elapsed
+	this.isPlaying = true
+	return this
+}
+THREE.VRController.Player.prototype.pause = function(){
+
+	this.isPlaying = false
+	return this
+}
+THREE.VRController.Player.prototype.stop = function(){
+
+	this.isPlaying = false
+	this.frameIndex = -1
+	if( this.isInstalled ){
+
+		THREE.VRController.getGamepads = this.priorGetGamepads
+		this.isInstalled = false
+	}
+	return this
+}
+
+
+//  Stepping pauses playback and moves ahead exactly one recorded frame
+// (or however many you ask for) on the next THREE.VRController.update().
+
+THREE.VRController.Player.prototype.step = function( count ){
+
+	if( count === undefined ) count = 1
+	this.install()
+	this.isPlaying = false
+	this.applyFrame( Math.min( this.frameIndex + count, this.frames.length - 1 ))
+	return this
+}
+THREE.VRController.Player.prototype.isFinished = function(){
+
+	return this.frameIndex >= this.frames.length - 1
+}
+THREE.VRController.Player.prototype.getGamepads = function(){
+
+	var
+	elapsed = THREE.VRController.now() - this.startTime,
+	index = this.frameIndex
+
+	if( this.isPlaying ){
+
+		while( index + 1 < this.frames.length && this.frames[ index + 1 ].time <= elapsed ) index ++
+		if( index !== this.frameIndex ) this.applyFrame( index )
+		if( this.isFinished()){
+
+			if( this.loop ){
+
+				this.frameIndex = -1
+				this.startTime = THREE.VRController.now()
+			}
+			else this.isPlaying = false
+		}
+	}
+	return this.gamepads
+}
+
+
+//  Bring our simulated gamepads in line with a recorded frame.
+//  Gamepads missing from the frame lose their pose, which is exactly
+//  how a real disconnection looks to THREE.VRController.update().
+
+THREE.VRController.Player.prototype.applyFrame = function( index ){
+
+	var
+	player = this,
+	frame = this.frames[ index ],
+	present = []
+
+	if( frame === undefined ) return
+	this.frameIndex = index
+	frame.gamepads.forEach( function( recorded ){
+
+		var gamepad = player.gamepads[ recorded.index ]
+
+		if( gamepad === undefined || gamepad === null || gamepad.id !== recorded.id ){
+
+			gamepad = new THREE.VRController.SimulatedGamepad( recorded.id, {
+
+				index:   recorded.index,
+				hand:    recorded.hand,
+				mapping: recorded.mapping,
+				buttons: recorded.buttons.length,
+				axes:    recorded.axes.length,
+				dof:     recorded.pose === null ? 0 : ( recorded.pose.hasPosition ? 6 : 3 )
+			})
+			player.gamepads[ recorded.index ] = gamepad
+		}
+		gamepad.connected = true
+		gamepad.hand = recorded.hand
+		if( recorded.pose !== null ){
+
+			gamepad.pose.hasOrientation = recorded.pose.hasOrientation
+			gamepad.pose.hasPosition    = recorded.pose.hasPosition
+			gamepad.setPose( recorded.pose.position, recorded.pose.orientation )
+		}
+		recorded.buttons.forEach( function( button, i ){
+
+			gamepad.setButton( i, {
+
+				value:   button[ 0 ],
+				pressed: !!button[ 1 ],
+				touched: !!button[ 2 ]
+			})
+		})
+		recorded.axes.forEach( function( axis, i ){
+
+			gamepad.setAxes( i, axis )
+		})
+		present.push( gamepad )
+	})
+	this.gamepads.forEach( function( gamepad ){
+
+		if( gamepad !== null && present.indexOf( gamepad ) < 0 ){
+
+			gamepad.connected = false
+			gamepad.setPose( null, null )
+		}
+	})
+}
+
+
+
+
 
 
 
 
     /////////////////
    //             //
-  //   Statics   //
+  //   Support   //
  //             //
 /////////////////
 
 
-//  This makes inspecting through the console a little bit saner.
-//  Expected values range from 0 (silent) to 1 (everything).
+//  Find our description of a controller given its gamepad.id and hand.
+//  Pass the gamepad too and we can match on its button and axes counts.
 
-THREE.VRController.verbosity = 0//0.5 or 0.7 are good...
+THREE.VRController.getSupported = function( id, hand, gamepad ){
 
+	var key, supported, bestScore = 0, bestRank = -1
 
-//  We need to keep a record of found controllers
-//  and have some connection / disconnection handlers.
 
-THREE.VRController.controllers = []
-THREE.VRController.onGamepadConnect = function( gamepad ){
+	//  Because Microsoft’s controller appends unique ID numbers to the end of
+	//  its ID string we can no longer just do this:
+	//  supported = THREE.VRController.supported[ gamepad.id ]
+	//  Instead we must loop through some object keys first. The profile
+	//  matching the most criteria wins. On a tie the first built-in profile
+	//  wins, unless you registered one yourself -- then the newest of those.
 
+	Object.keys( THREE.VRController.supported ).forEach( function( supportedId ){
+
+		var
+		score = THREE.VRController.matchProfile( supportedId, THREE.VRController.supported[ supportedId ], id, hand, gamepad ),
+		rank  = THREE.VRController.registeredProfiles.indexOf( supportedId )
+
+		if( score > bestScore || ( score > 0 && score === bestScore && rank > bestRank )){
+
+			key = supportedId
+			bestScore = score
+			bestRank = rank
+		}
+	})
+	supported = THREE.VRController.supported[ key ]
+
+
+	//  Some controllers report the same ID regardless of which hand they’re
+	//  in -- WebXR’s input profiles for example. For those we allow a
+	//  'left' or 'right' property that overrides the shared description.
+
+	if( supported !== undefined && supported[ hand ] !== undefined ){
+
+		supported = Object.assign( {}, supported, supported[ hand ])
+	}
+	return supported
+}
 
-	//  Let’s create a new controller object
-	//  that’s really an extended THREE.Object3D
-	//  and pass it a reference to this gamepad.
+
+//  How well does a profile match? Returns how many of its criteria were
+//  met, or -1 if any of them weren’t. A profile can narrow things down
+//  with a match object -- all optional:
+//
+//    prefix:  An ID prefix, or an Array of them. If there’s no prefix and
+//             no regex then the profile’s own key is the prefix.
+//    regex:   A RegExp, or a String for one (JSON can’t do RegExps).
+//    hand:    'left', 'right', or '' for neither.
+//    mapping: 'xr-standard', 'standard', etc.
+//    tracked: true if the gamepad must have a pose, false if it mustn’t.
+//    buttons: How many buttons the gamepad reports. A Number for exactly
+//             that many, or { min, max } for a range.
+//    axes:    Same again but for axes.
+//
+//  Mapping, tracked, and counts are ignored when there’s no gamepad to check.
+//  A profile has to meet at least one criterion to match at all.
+
+THREE.VRController.matchProfile = function( key, profile, id, hand, gamepad ){
 
 	var
-	scope = THREE.VRController,
-	controller = new scope( gamepad ),
-	hapticActuators = controller.gamepad.hapticActuators
+	match = profile.match !== undefined ? profile.match : {},
+	prefixes = match.prefix !== undefined ? [].concat( match.prefix ) : ( match.regex === undefined ? [ key ] : []),
+	score = 0
 
+	function isCountMatch( criterion, count ){
 
-	//  We also need to store this reference somewhere so that we have a list
-	//  controllers that we know need updating, and by using the gamepad.index
-	//  as the key we also know which gamepads have already been found.
+		if( typeof criterion === 'number' ) return count === criterion
+		return ( criterion.min === undefined || count >= criterion.min ) &&
+			( criterion.max === undefined || count <= criterion.max )
+	}
+	if( typeof id !== 'string' ) return -1
+	if( prefixes.length ){
 
-	scope.controllers[ gamepad.index ] = controller
 
+		//  An empty prefix matches anything, so it doesn’t count for much.
 
-	//  Now we’ll broadcast a global connection event.
-	//  We’re not using THREE’s dispatchEvent because this event
-	//  is the means of delivering the controller instance.
-	//  How would we listen for events on the controller instance
-	//  if we don’t already have a reference to it?!
+		if( !prefixes.some( function( prefix ){ return id.startsWith( prefix )})) return -1
+		if( prefixes.some( function( prefix ){ return prefix !== '' && id.startsWith( prefix )})) score ++
+	}
+	if( match.regex !== undefined ){
 
-	if( scope.verbosity >= 0.5 ) console.log( 'vr controller connected', controller )
-	if( scope.verbosity >= 0.7 ) console.log( controller.inspect() )
-	window.setTimeout( function(){
+		if( !( match.regex instanceof RegExp ? match.regex : new RegExp( match.regex )).test( id )) return -1
+		score ++
+	}
+	if( match.hand !== undefined ){
+
+		if( match.hand !== ( hand !== undefined ? hand : '' )) return -1
+		score ++
+	}
+	if( match.mapping !== undefined && gamepad !== undefined ){
+
+		if( match.mapping !== gamepad.mapping ) return -1
+		score ++
+	}
+	if( match.tracked !== undefined && gamepad !== undefined ){
+
+		if( match.tracked !== ( gamepad.pose !== undefined && gamepad.pose !== null )) return -1
+		score ++
+	}
+	if( match.buttons !== undefined && gamepad !== undefined && gamepad.buttons !== undefined ){
 
-		window.dispatchEvent( new CustomEvent( 'vr controller connected', { detail: controller }))
+		if( !isCountMatch( match.buttons, gamepad.buttons.length )) return -1
+		score ++
+	}
+	if( match.axes !== undefined && gamepad !== undefined && gamepad.axes !== undefined ){
 
-	}, 500 )
+		if( !isCountMatch( match.axes, gamepad.axes.length )) return -1
+		score ++
+	}
+	return score
 }
-THREE.VRController.onGamepadDisconnect = function( gamepad ){
 
 
-	//  We need to find the controller that holds the reference to this gamepad.
-	//  Then we can broadcast the disconnection event on the controller itself
-	//  and also overwrite our controllers object with undefined. Goodbye!
-	//  When you receive this event don’t forget to remove your meshes and whatnot
-	//  from your scene so you can either reuse them upon reconnect -- or you
-	//  should detroy them. You don’t want memory leaks, right?
+//  Teach us about a new controller -- or a new take on an old one --
+//  without editing THREE.VRController.supported below. Profiles are plain
+//  JSON-friendly objects in the same shape as those below, plus an id:
+//
+//    THREE.VRController.registerProfile({
+//
+//      id:      'Acme Wand',
+//      match:   { prefix: 'Acme Wand', buttons: { min: 3 }},
+//      style:   'acme',
+//      axes:    [{ name: 'thumbpad', indexes: [ 0, 1 ], invert: [ false, true ]}],
+//      buttons: [ 'thumbpad', 'trigger', 'menu' ],
+//      primary: 'trigger',
+//      haptics: { actuators: 1 },
+//      left:    { buttons: [ 'thumbpad', 'trigger', 'system' ]}
+//    })
+//
+//  Invert flips an axis’s sign, either per axis (an Array of Booleans) or
+//  the whole pair (true). Haptics declares what the device ought to have:
+//  { actuators: Number, dualRumble: Boolean } or false for none. Profiles
+//  only apply to controllers connected after they’re registered.
+
+THREE.VRController.registeredProfiles = []
+THREE.VRController.registerProfile = function( profile ){
+
+	THREE.VRController.validateProfile( profile )
+	THREE.VRController.unregisterProfile( profile.id )
+	THREE.VRController.supported[ profile.id ] = profile
+	THREE.VRController.registeredProfiles.push( profile.id )
+	return profile
+}
+THREE.VRController.unregisterProfile = function( id ){
 
-	var
-	scope = THREE.VRController,
-	controller = scope.controllers[ gamepad.index ]
+	var index = THREE.VRController.registeredProfiles.indexOf( id )
 
-	if( scope.verbosity >= 0.5 ) console.log( 'vr controller disconnected', controller )
-	controller.dispatchEvent({ type: 'disconnected', controller: controller })
-	scope.controllers[ gamepad.index ] = undefined
+	if( index > -1 ) THREE.VRController.registeredProfiles.splice( index, 1 )
+	delete THREE.VRController.supported[ id ]
 }
 
 
-//  This is what makes everything so convenient. We keep track of found
-//  controllers right here. And by adding this one update function into your
-//  animation loop we automagically update all the controller positions,
-//  orientations, and button states.
-//  Why not just wrap this in its own requestAnimationFrame loop? Performance!
-//  https://jsperf.com/single-raf-draw-calls-vs-multiple-raf-draw-calls
-//  But also, you will likely be switching between window.requestAnimationFrame
-//  which aims for 60fps and vrDisplay.requestAnimationFrame which aims for 90
-//  when switching between non-VR and VR rendering. This makes it trivial to
-//  make the choices YOU want to.
+//  Same shape as above. We’d rather throw a clear error now than have a
+//  typo quietly misname your buttons later.
 
-THREE.VRController.update = function(){
+THREE.VRController.validateProfile = function( profile ){
 
-	var gamepads, gamepad, i
+	function fail( message ){
+
+		throw new Error( 'THREE.VRController.registerProfile: '+ ( profile !== null && typeof profile === 'object' && typeof profile.id === 'string' ? 'profile "'+ profile.id +'" ' : '' ) + message )
+	}
+	function isCount( value ){
 
+		return typeof value === 'number' && value >= 0 && value % 1 === 0
+	}
+	function validateCount( criterion, name ){
 
-	//  Before we do anything we ought to see if getGamepads even exists.
-	// (Perhaps in addition to actual VR rigs you’re also supporting
-	//  iOS devices via magic window?) If it doesn’t exist let’s bail:
+		if( criterion === undefined || isCount( criterion )) return
+		if( criterion === null || typeof criterion !== 'object' ||
+			( criterion.min !== undefined && !isCount( criterion.min )) ||
+			( criterion.max !== undefined && !isCount( criterion.max ))){
 
-	if( navigator.getGamepads === undefined ) return
+			fail( 'match.'+ name +' must be a count or { min, max }.' )
+		}
+	}
+	function validateHand( hand ){
 
+		if( profile[ hand ] === null || typeof profile[ hand ] !== 'object' ) fail( hand +' must be an Object.' )
+		validateLayout( Object.assign( {}, profile, profile[ hand ]), hand +'.' )
+	}
+	function validateLayout( layout, path ){
 
-	//  Yes, we need to scan the gamepads Array with each update loop
-	//  because it is the *safest* way to detect new gamepads / lost gamepads
-	//  and we avoid Doob’s proposed problem of a user accidentally including
-	//  VRControllers.js multiple times if we were using 'ongamepadconnected'
-	//  and 'ongamepaddisconnected' events firing multiple times.
-	//  Also... those connection events are not widely supported yet anyhow.
+		var buttons = layout.buttons
 
-	gamepads = navigator.getGamepads()
+		if( layout.style !== undefined && typeof layout.style !== 'string' ) fail( path +'style must be a String.' )
+		if( buttons !== undefined ){
 
+			if( !Array.isArray( buttons )) fail( path +'buttons must be an Array of button names.' )
+			buttons.forEach( function( buttonName, i ){
 
-	//  For some reason the early examples of using the Gamepad API iterate over
-	//  a fixed range: 0..3. But MS Edge seems to have 4 nulls (why?!) and then
-	//  add the Motion Controllers to index 4 and 5!
+				if( buttonName !== null && typeof buttonName !== 'string' ) fail( path +'buttons['+ i +'] must be a String, or null for an unused slot.' )
+			})
+		}
+		if( layout.axes !== undefined ){
 
-	for( i = 0; i < gamepads.length; i ++ ){
+			if( !Array.isArray( layout.axes )) fail( path +'axes must be an Array of { name, indexes }.' )
+			layout.axes.forEach( function( axesMap, i ){
 
+				if( axesMap === null || typeof axesMap !== 'object' || typeof axesMap.name !== 'string' ) fail( path +'axes['+ i +'] needs a name.' )
+				if( !Array.isArray( axesMap.indexes ) || axesMap.indexes.length === 0 || !axesMap.indexes.every( isCount )){
 
-		//  The Gamepad API is a funny thing. I wrote about some of its 
-		//  quirks, specifically in Chromium, here:
-		//  https://medium.com/@stew_rtsmith/webvr-controllers-and-chromiums-gamepad-api-6c9adc633f38
-		//  For brevity here I’ll just say we won’t outright accept what the 
-		//  API tells us exists. (It can create ghost controllers!)
-		//  Instead we will consider a Gamepad exists only when it is reported
-		//  by the API and ALSO has not-null position or not-null orientation.
+					fail( path +'axes['+ i +'] ("'+ axesMap.name +'") needs an indexes Array of axis numbers.' )
+				}
+				if( axesMap.invert !== undefined && typeof axesMap.invert !== 'boolean' && !(
 
-		//  Could probably change this to “if( gamepad instanceof Gamepad )”
-		//  but dealing with these things across browsers and devices has made
-		//  me extra paranoid. Best to verify the pose object is really there.
+					Array.isArray( axesMap.invert ) &&
+					axesMap.invert.length === axesMap.indexes.length &&
+					axesMap.invert.every( function( value ){ return typeof value === 'boolean' })
+				)){
 
-		gamepad = gamepads[ i ]
-		if( gamepad      !== undefined &&//  Just for you, Microsoft Edge!
-			gamepad      !== null &&     //  Meanwhile Chrome and Firefox do it this way.
-			gamepad.pose !== undefined &&
-			gamepad.pose !== null ){
+					fail( path +'axes['+ i +'] ("'+ axesMap.name +'") invert must be a Boolean or one Boolean per index.' )
+				}
+			})
+		}
+		if( layout.primary !== undefined ){
 
+			if( typeof layout.primary !== 'string' ) fail( path +'primary must be a button name.' )
+			if( buttons !== undefined && buttons.indexOf( layout.primary ) < 0 ) fail( path +'primary "'+ layout.primary +'" is not one of its buttons.' )
+		}
+	}
 
-			//  We've just confirmed that a “ready” Gamepad instance exists in
-			//  this slot. If it’s not already in our controllers list we need
-			//  to initiate it! Either way we need to call update() on it.
+	if( profile === null || typeof profile !== 'object' ) fail( 'must be an Object.' )
+	if( typeof profile.id !== 'string' || profile.id === '' ) fail( 'needs an id String.' )
+	validateLayout( profile, '' )
+	if( profile.left  !== undefined ) validateHand( 'left' )
+	if( profile.right !== undefined ) validateHand( 'right' )
+	if( profile.match !== undefined ){
 
-			if( gamepad.pose.orientation !== null || gamepad.pose.position !== null ){
+		var match = profile.match
 
-				if( this.controllers[ i ] === undefined ) THREE.VRController.onGamepadConnect( gamepad )
-				this.controllers[ i ].update()
-			}
+		if( match === null || typeof match !== 'object' ) fail( 'match must be an Object.' )
+		if( match.prefix !== undefined && ![].concat( match.prefix ).every( function( prefix ){ return typeof prefix === 'string' })){
+
+			fail( 'match.prefix must be a String or an Array of them.' )
+		}
+		if( match.regex !== undefined && !( match.regex instanceof RegExp )){
 
+			if( typeof match.regex !== 'string' ) fail( 'match.regex must be a RegExp or a String.' )
+			try { new RegExp( match.regex ) }
+			catch( error ){ fail( 'match.regex is not a valid regular expression: '+ error.message ) }
+		}
+		if( match.hand !== undefined && [ 'left', 'right', '' ].indexOf( match.hand ) < 0 ) fail( 'match.hand must be "left", "right", or "".' )
+		if( match.mapping !== undefined && typeof match.mapping !== 'string' ) fail( 'match.mapping must be a String.' )
+		if( match.tracked !== undefined && typeof match.tracked !== 'boolean' ) fail( 'match.tracked must be a Boolean.' )
+		validateCount( match.buttons, 'buttons' )
+		validateCount( match.axes, 'axes' )
+	}
+	if( profile.haptics !== undefined && profile.haptics !== false ){
 
-			//  If we’ve lost orientation and position then we’ve lost this
-			//  controller. Unfortunately we cannot rely on gamepad.connected
-			//  because it will ALWAYS equal true -- even if you power down
-			//  the controller! (At least in Chromium.) That doesn’t seem like
-			//  the API’s intended behavior but it’s what I see in practice.
+		if( profile.haptics === null || typeof profile.haptics !== 'object' ||
+			( profile.haptics.actuators  !== undefined && !isCount( profile.haptics.actuators )) ||
+			( profile.haptics.dualRumble !== undefined && typeof profile.haptics.dualRumble !== 'boolean' )){
 
-			else if( this.controllers[ i ] !== undefined ) THREE.VRController.onGamepadDisconnect( gamepad )
+			fail( 'haptics must be false or { actuators: Number, dualRumble: Boolean }.' )
 		}
 	}
+	if( profile.smoothing !== undefined && ( profile.smoothing === null || typeof profile.smoothing !== 'object' )) fail( 'smoothing must be an Object.' )
+	return true
 }
-THREE.VRController.inspect = function(){
 
-	THREE.VRController.controllers.forEach( function( controller ){
 
-		console.log( '\n'+ controller.inspect() )
-	})
-}
+//  Load profiles at runtime from a URL (that serves JSON) or an Object.
+//  Either can hold a single profile, an Array of them, or an Object of
+//  them keyed by id just like THREE.VRController.supported. Every profile
+//  is validated before any are registered. Returns a Promise for the
+//  registered profiles:
+//
+//    THREE.VRController.loadProfiles( 'controllers.json' ).then( ... )
 
+THREE.VRController.loadProfiles = function( source ){
 
+	var profiles
 
+	if( typeof source === 'string' ){
 
+		return window.fetch( source ).then( function( response ){
 
+			if( !response.ok ) throw new Error( 'THREE.VRController.loadProfiles: could not load "'+ source +'" ('+ response.status +').' )
+			return response.json()
 
+		}).then( THREE.VRController.loadProfiles )
+	}
+	if( Array.isArray( source )) profiles = source
+	else if( source !== null && typeof source === 'object' && typeof source.id === 'string' ) profiles = [ source ]
+	else if( source !== null && typeof source === 'object' ){
 
+		profiles = Object.keys( source ).map( function( id ){
 
-    /////////////////
-   //             //
-  //   Support   //
- //             //
-/////////////////
+			return Object.assign({ id: id }, source[ id ])
+		})
+	}
+	else return Promise.reject( new Error( 'THREE.VRController.loadProfiles: expected a URL, a profile, or a collection of profiles.' ))
+	try {
+
+		profiles.forEach( THREE.VRController.validateProfile )
+		return Promise.resolve( profiles.map( THREE.VRController.registerProfile ))
+	}
+	catch( error ){
+
+		return Promise.reject( error )
+	}
+}
 
 
 //  Let’s take an ID string as reported directly from the Gamepad API,
@@ -883,7 +5451,7 @@ THREE.VRController.supported = {
 		//  make life easier on you WE WILL INVERT ITS AXIS in the code above.
 		//  This way YOU don’t have to worry about it. 
 
-		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ], invert: [ false, true ]}],
 		buttons: [
 
 
@@ -927,20 +5495,131 @@ THREE.VRController.supported = {
 			//  isTouched: Duplicates isPressed.
 			//  isPressed: As expected.
 
-			'grip',
+			'grip',
+
+
+			//  MENU
+			//  The menu button is the tiny button above the thumbpad -- NOT
+			//  the one below it.
+			//  --------------------------------------------------------------
+			//  value:     Binary 0 or 1, duplicates isPressed.
+			//  isTouched: Duplicates isPressed.
+			//  isPressed: As expected.
+
+			'menu'
+		],
+		primary: 'trigger'
+	},
+
+
+
+
+	//  Vive Focus and Focus Plus are HTC’s standalone headsets. Each has a
+	//  single controller with a thumbpad and a trigger. (Its app and home
+	//  buttons belong to the system.) Unlike its tethered cousin its
+	//  thumbpad’s Y-axis is “Regular”. There’s no telling which hand it’s
+	//  in from the ID alone so set the hand in your headset’s settings.
+	//  This is the same ID prefix and layout A-Frame’s vive-focus-controls
+	//  component expects from the Vive Wave browser.
+
+	'HTC Vive Focus': {
+
+		style: 'vive',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'thumbpad', 'trigger' ],
+		primary: 'trigger'
+	},
+
+
+
+
+	    /////////////////////
+	   //                 //
+	  //   Valve Index   //
+	 //                 //
+	/////////////////////
+
+
+	//  Valve Index controllers, codenamed “Knuckles”, strap to your palm so
+	//  you can let go without dropping them. Depending on the browser they
+	//  report as 'OpenVR Knuckles', 'Knuckles ...', or 'Valve Index ...',
+	//  the same ID for both hands with the handedness in gamepad.hand.
+
+	'Valve Index Controller': {
+
+		match: { prefix: [ 'Valve Index', 'OpenVR Knuckles', 'Knuckles' ]},
+		style: 'index',
+		axes: [
+
+
+			//  THUMBPAD and THUMBSTICK
+			//  Both come straight from OpenVR so both Y-axes are “Goofy”
+			//  just like Vive’s thumbpad and WE WILL INVERT THEM.
+			//  The thumbpad is a slim oval -- mostly up and down.
+
+			{ name: 'thumbpad',   indexes: [ 0, 1 ], invert: [ false, true ]},
+			{ name: 'thumbstick', indexes: [ 2, 3 ], invert: [ false, true ], deadzone: 0.1 },
+
+
+			//  FINGERS
+			//  Capacitive sensors along the handle report how far each
+			//  finger is curled, from 0 (straight) to 1 (wrapped around the
+			//  handle). These are single axes so there are no virtual d-pad
+			//  buttons for them, but they do fire 'index finger axes
+			//  changed' and so on. The epsilon keeps those to a dull roar.
+			//  The order -- index, middle, ring, pinky, then grip force --
+			//  is the order SteamVR’s own Index input profile declares them:
+			//  /input/finger/index through /input/finger/pinky, then
+			//  /input/grip/force. OpenVR-backed browsers append each scalar
+			//  input after the thumbpad and thumbstick pairs in that order.
+
+			{ name: 'index finger',  indexes: [ 4 ], epsilon: 0.01 },
+			{ name: 'middle finger', indexes: [ 5 ], epsilon: 0.01 },
+			{ name: 'ring finger',   indexes: [ 6 ], epsilon: 0.01 },
+			{ name: 'pinky finger',  indexes: [ 7 ], epsilon: 0.01 },
+
+
+			//  GRIP FORCE
+			//  How hard you’re squeezing the handle, from 0 to 1. The grip
+			//  button below presses once you squeeze hard enough; this
+			//  tells you how much harder than that you’re going.
+
+			{ name: 'grip force', indexes: [ 8 ], epsilon: 0.01 }
+		],
+		buttons: [
+
+
+			//  THUMBPAD
+			//  Touch sensitive, and pressing it down reports force.
+
+			'thumbpad',
+
+
+			//  TRIGGER
+			//  Analog 0 to 1 with real touch detection.
+
+			'trigger',
+
+
+			//  GRIP
+			//  Pressed when the grip force sensor is squeezed hard enough.
+
+			'grip',
+
+
+			//  THUMBSTICK
+			//  Clickable and touch sensitive.
 
+			'thumbstick',
 
-			//  MENU
-			//  The menu button is the tiny button above the thumbpad -- NOT
-			//  the one below it.
-			//  --------------------------------------------------------------
-			//  value:     Binary 0 or 1, duplicates isPressed.
-			//  isTouched: Duplicates isPressed.
-			//  isPressed: As expected.
 
-			'menu'
+			//  A B
+			//  Unlike Oculus Touch these are A and B on BOTH hands.
+
+			'A', 'B'
 		],
-		primary: 'trigger'
+		primary: 'trigger',
+		haptics: { actuators: 1 }
 	},
 
 
@@ -969,7 +5648,8 @@ THREE.VRController.supported = {
 
 		//  THUMBSTICK
 		//  Oculus’s thumbstick has axes values and is also a button.
-		//  The Y-axis is “Regular”.
+		//  The Y-axis is “Regular”. Like most sticks it rarely comes to
+		//  rest at exactly zero so we give it a small radial deadzone.
 		//
 		//              Top: Y = -1
 		//                   ↑
@@ -977,7 +5657,7 @@ THREE.VRController.supported = {
 		//                   ↓
 		//           Bottom: Y = +1
 
-		axes: [{ name: 'thumbstick', indexes: [ 0, 1 ]}],
+		axes: [{ name: 'thumbstick', indexes: [ 0, 1 ], deadzone: 0.1 }],
 		buttons: [
 
 
@@ -1043,7 +5723,7 @@ THREE.VRController.supported = {
 	'Oculus Touch (Left)': {
 
 		style: 'oculus',
-		axes: [{ name: 'thumbstick', indexes: [ 0, 1 ]}],
+		axes: [{ name: 'thumbstick', indexes: [ 0, 1 ], deadzone: 0.1 }],
 		buttons: [
 
 			'thumbstick',
@@ -1055,172 +5735,545 @@ THREE.VRController.supported = {
 		primary: 'trigger'
 	},
 
-	'Oculus Go Controller': {
+	'Oculus Go Controller': {
+
+
+		style: 'oculus',
+
+
+		//  THUMBPAD
+		//  Oculus Go’s thumbpad has axes values and is also a button.
+		//  The Y-axis is “Regular”.
+		//
+		//              Top: Y = -1
+		//                   ↑
+		//    Left: X = -1 ←─┼─→ Right: X = +1
+		//                   ↓
+		//           Bottom: Y = +1
+
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [
+
+
+			//  THUMBPAD
+			//  --------------------------------------------------------------
+			//  value:     Binary 0 or 1, duplicates isPressed.
+			//  isTouched: YES has real touch detection.
+			//  isPressed: As expected.
+
+			'thumbpad',
+
+
+			//  TRIGGER
+			//  --------------------------------------------------------------
+			//  value:     Binary 0 or 1, duplicates isPressed.
+			//  isTouched: Duplicates isPressed.
+			//  isPressed: As expected.
+
+			'trigger'
+		],
+		primary: 'trigger'
+	},
+
+
+	//  Gear VR’s controller looks (and behaves) a lot like Oculus Go’s and
+	//  that’s no coincidence -- Samsung and Oculus built Gear VR together.
+	//  Just like Go it has a thumbpad, a trigger, and no haptics. Oculus
+	//  Browser and Samsung Internet report it as 'Gear VR Controller' with
+	//  the same layout A-Frame’s gearvr-controls component expects.
+
+	'Gear VR Controller': {
+
+		style: 'oculus',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'thumbpad', 'trigger' ],
+		primary: 'trigger',
+		haptics: false
+	},
+
+
+
+
+
+	    ///////////////////
+	   //               //
+	  //   Microsoft   //
+	 //               //
+	///////////////////
+
+
+	//  This is the first Gamepad ID setup we’ve come across that forced us
+	//  to loop through the supported object’s keys and compare values using
+	//  startsWith(), instead of just accessing directly like so:
+	//  supported = THREE.VRController.supported[ gamepad.id ].
+	//  You can read all the details about the unqiue identifier suffix here:
+	//  https://github.com/stewdio/THREE.VRController/issues/8
+
+	'Spatial Controller (Spatial Interaction Source)': {
+
+
+		//  It’s hard to know what to call these controllers. They report as
+		// “Spatial Controllers” but are branded as “Motion Controllers”
+		//  and they’re for “Windows Mixed Reality” devices... 
+		// “Microsoft Windows Mixed Reality Spatial Motion Controller”?
+		//  Their team prefers “Windows motion controllers”. But for our style
+		//  property string we want pith -- a single short word that makes it
+		//  easy to distinguish from Oculus, Vive, etc. So we’ll go with 
+		// “microsoft” as in “this is a controller in the style of Microsoft”.
+		//
+		//  NOTE: Currently Windows Mixed Reality devices only function in 
+		//  Microsoft Edge on latest builds of Windows 10.
+
+		style: 'microsoft',
+		axes: [
+
+
+			//  THUMBSTICK
+			//  The thumbstick is super twitchy, seems to fire quite a bit on
+			//  its own. So it gets a generous deadzone and we ignore the
+			//  tiniest of changes. Its Y-axis is “Regular”.
+			//
+			//              Top: Y = -1
+			//                   ↑
+			//    Left: X = -1 ←─┼─→ Right: X = +1
+			//                   ↓
+			//           Bottom: Y = +1
+
+			{ name: 'thumbstick', indexes: [ 0, 1 ], deadzone: 0.15, epsilon: 0.01 },
+
+
+			//  THUMBPAD
+			//  Operates exactly the same as the thumbstick but without the
+			//  extra twitchiness.
+
+			{ name: 'thumbpad',   indexes: [ 2, 3 ]}
+		],
+		buttons: [
+
+
+			//  THUMBSTICK
+			//  --------------------------------------------------------------
+			//  value:     Binary 0 or 1, duplicates isPressed.
+			//  isTouched: Duplicates isPressed.
+			//  isPressed: As expected.
+
+			'thumbstick',
+
+
+			//  TRIGGER
+			//  Its physical range of motion noticably exceeds the range of
+			//  values reported. For example when engaging you can continue
+			//  to squueze beyond when the value reports 1. And when 
+			//  releasing you will reach value === 0 before the trigger is 
+			//  completely released. The value property dictates touch and
+			//  press states as follows:
+			//
+			//  Upon engaging
+			//  if( value >= 0.00 && value < 0.10 ) NO VALUES REPORTED AT ALL!
+			//  if( value >= 0.10 ) isTouched = true
+			//  if( value >= 0.12 ) isPressed = true
+			//
+			//  Upon releasing
+			//  if( value <  0.12 ) isPressed = false
+			//  if( value == 0.00 ) isTouched = false
+			//  --------------------------------------------------------------
+			//  value:     Analog 0 to 1.
+			//  isTouched: Simulated, corresponds to value.
+			//  isPressed: Corresponds to value.
+
+			'trigger',
+
+
+			//  GRIP
+			//  --------------------------------------------------------------
+			//  value:     Binary 0 or 1, duplicates isPressed.
+			//  isTouched: Duplicates isPressed.
+			//  isPressed: As expected.
+
+			'grip',
+
+
+			//  MENU
+			//  --------------------------------------------------------------
+			//  value:     Binary 0 or 1, duplicates isPressed.
+			//  isTouched: Duplicates isPressed.
+			//  isPressed: As expected.
+
+			'menu',
+
+
+			//  THUMBPAD
+			//  This is the only button that has actual touch detection.
+			//  --------------------------------------------------------------
+			//  value:     Binary 0 or 1, duplicates isPressed.
+			//  isTouched: YES has real touch detection.
+			//  isPressed: As expected.
+
+			'thumbpad'
+		],
+		primary: 'trigger'
+	},
+
+
+
+
+	    ///////////////
+	   //           //
+	  //   WebXR   //
+	 //           //
+	///////////////
+
+
+	//  WebXR identifies controllers by input profile rather than by
+	//  gamepad.id, and most of them use the 'xr-standard' mapping which
+	//  reorders everything: slot #0 is always the trigger, #1 the grip
+	// (“squeeze” in WebXR speak), #2 the thumbpad, #3 the thumbstick, and
+	//  anything extra comes after that. Axes #0 and #1 belong to the
+	//  thumbpad, #2 and #3 to the thumbstick. All Y-axes are “Regular”.
+	//  We keep the same button names as above so your listeners don’t
+	//  need to care which API your visitor’s browser is using.
+
+	'oculus-touch': {
+
+		style: 'oculus',
+		axes: [{ name: 'thumbstick', indexes: [ 2, 3 ], deadzone: 0.1 }],
+		buttons: [
+
+			'trigger',
+			'grip',
+			null,//  No thumbpad.
+			'thumbstick',
+			'A', 'B',
+			'thumbrest'
+		],
+		primary: 'trigger',
+		left: {
+
+			buttons: [
+
+				'trigger',
+				'grip',
+				null,
+				'thumbstick',
+				'X', 'Y',
+				'thumbrest'
+			]
+		}
+	},
+
+
+	//  Oculus Quest and Rift S shipped a second generation of Touch. Same
+	//  layout, but without the thumbrest’s touch sensor. Quest 2’s third
+	//  generation brought the thumbrest back. (In WebVR all of these report
+	//  as 'Oculus Touch (Left)' and 'Oculus Touch (Right)'.)
+	//  These IDs also start with 'oculus-touch' so each one insists on
+	//  its whole ID, which also makes it the better match of the two.
+
+	'oculus-touch-v2': {
+
+		match: { prefix: 'oculus-touch-v2', regex: '^oculus-touch-v2$' },
+		style: 'oculus',
+		axes: [{ name: 'thumbstick', indexes: [ 2, 3 ], deadzone: 0.1 }],
+		buttons: [ 'trigger', 'grip', null, 'thumbstick', 'A', 'B' ],
+		primary: 'trigger',
+		haptics: { actuators: 1 },
+		left: {
+
+			buttons: [ 'trigger', 'grip', null, 'thumbstick', 'X', 'Y' ]
+		}
+	},
+	'oculus-touch-v3': {
+
+		match: { prefix: 'oculus-touch-v3', regex: '^oculus-touch-v3$' },
+		style: 'oculus',
+		axes: [{ name: 'thumbstick', indexes: [ 2, 3 ], deadzone: 0.1 }],
+		buttons: [ 'trigger', 'grip', null, 'thumbstick', 'A', 'B', 'thumbrest' ],
+		primary: 'trigger',
+		haptics: { actuators: 1 },
+		left: {
+
+			buttons: [ 'trigger', 'grip', null, 'thumbstick', 'X', 'Y', 'thumbrest' ]
+		}
+	},
+	'oculus-go': {
+
+		style: 'oculus',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'trigger', null, 'thumbpad' ],
+		primary: 'trigger'
+	},
+	'samsung-gearvr': {
+
+		style: 'oculus',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'trigger', null, 'thumbpad' ],
+		primary: 'trigger',
+		haptics: false
+	},
+	'htc-vive': {
+
+
+		//  Vive’s menu button is reserved by the browser in WebXR.
+
+		style: 'vive',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'trigger', 'grip', 'thumbpad' ],
+		primary: 'trigger'
+	},
+
+
+	//  Same again for Focus and Focus Plus, whose IDs start with 'htc-vive'
+	//  and 'htc-vive-focus'. Focus Plus’s controller adds a grip.
+
+	'htc-vive-focus': {
+
+		match: { prefix: 'htc-vive-focus', regex: '^htc-vive-focus$' },
+		style: 'vive',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'trigger', null, 'thumbpad' ],
+		primary: 'trigger'
+	},
+	'htc-vive-focus-plus': {
+
+		match: { prefix: 'htc-vive-focus-plus', regex: '^htc-vive-focus-plus$' },
+		style: 'vive',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'trigger', 'grip', 'thumbpad' ],
+		primary: 'trigger'
+	},
+	'valve-index': {
+
+
+		//  WebXR’s gamepad has no finger curl or grip force, sadly. Those
+		//  come through WebVR instead; see 'Valve Index Controller' above.
+
+		style: 'index',
+		axes: [
+
+			{ name: 'thumbpad',   indexes: [ 0, 1 ]},
+			{ name: 'thumbstick', indexes: [ 2, 3 ], deadzone: 0.1 }
+		],
+		buttons: [ 'trigger', 'grip', 'thumbpad', 'thumbstick', 'A', 'B' ],
+		primary: 'trigger',
+		haptics: { actuators: 1 }
+	},
+	'microsoft-mixed-reality': {
+
+		style: 'microsoft',
+		axes: [
+
+			{ name: 'thumbpad',   indexes: [ 0, 1 ]},
+			{ name: 'thumbstick', indexes: [ 2, 3 ], deadzone: 0.15, epsilon: 0.01 }
+		],
+		buttons: [ 'trigger', 'grip', 'thumbpad', 'thumbstick' ],
+		primary: 'trigger'
+	},
+	'google-daydream': {
+
 
+		//  Daydream has no trigger so it doesn’t use 'xr-standard'.
 
-		style: 'oculus',
+		style: 'daydream',
+		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
+		buttons: [ 'thumbpad' ],
+		primary: 'thumbpad'
+	},
+	'magicleap-one': {
 
 
-		//  THUMBPAD
-		//  Oculus Go’s thumbpad has axes values and is also a button.
-		//  The Y-axis is “Regular”.
-		//
-		//              Top: Y = -1
-		//                   ↑
-		//    Left: X = -1 ←─┼─→ Right: X = +1
-		//                   ↓
-		//           Bottom: Y = +1
+		//  Magic Leap One’s Control is a single 6DOF puck with a trigger,
+		//  a bumper where you’d expect a grip, a round thumbpad, and a
+		//  menu button. Its “home” button belongs to the system.
 
+		style: 'magicleap',
 		axes: [{ name: 'thumbpad', indexes: [ 0, 1 ]}],
-		buttons: [
+		buttons: [ 'trigger', 'bumper', 'thumbpad', 'menu' ],
+		primary: 'trigger',
+		haptics: { actuators: 1 }
+	},
 
 
-			//  THUMBPAD
-			//  --------------------------------------------------------------
-			//  value:     Binary 0 or 1, duplicates isPressed.
-			//  isTouched: YES has real touch detection.
-			//  isPressed: As expected.
 
-			'thumbpad',
 
+	    //////////////////////////
+	   //                      //
+	  //   Standard Gamepad   //
+	 //                      //
+	//////////////////////////
 
-			//  TRIGGER
-			//  --------------------------------------------------------------
-			//  value:     Binary 0 or 1, duplicates isPressed.
-			//  isTouched: Duplicates isPressed.
-			//  isPressed: As expected.
 
-			'trigger'
+	//  Xbox, PlayStation, Switch Pro, and whatever else the browser can map
+	//  to the W3C’s 'standard' gamepad layout. Any ID will do as long as
+	//  there’s no pose. (See THREE.VRController.includeStandardGamepads.)
+	//  A, B, X, and Y are by position -- bottom, right, left, top -- so on
+	//  a PlayStation controller A is ✕ and on a Switch Pro it’s B. Sticks
+	//  are “Regular”, up is -1, and they never quite settle at zero.
+	//  Many of these rumble; see controller.haptics.
+
+	'Standard Gamepad': {
+
+		match: { prefix: '', mapping: 'standard', tracked: false },
+		style: 'gamepad',
+		axes: [
+
+			{ name: 'left stick',  indexes: [ 0, 1 ], deadzone: 0.15 },
+			{ name: 'right stick', indexes: [ 2, 3 ], deadzone: 0.15 }
 		],
-		primary: 'trigger'
-	},
+		buttons: [
 
+			'A', 'B', 'X', 'Y',
+			'left bumper', 'right bumper',
+			'left trigger', 'right trigger',
+			'select', 'start',
+			'left stick', 'right stick',
+			'dpad up', 'dpad down', 'dpad left', 'dpad right',
+			'home'
+		],
+		primary: 'A'
+	}
+}
 
 
 
 
-	    ///////////////////
-	   //               //
-	  //   Microsoft   //
-	 //               //
-	///////////////////
 
 
-	//  This is the first Gamepad ID setup we’ve come across that forced us
-	//  to loop through the supported object’s keys and compare values using
-	//  startsWith(), instead of just accessing directly like so:
-	//  supported = THREE.VRController.supported[ gamepad.id ].
-	//  You can read all the details about the unqiue identifier suffix here:
-	//  https://github.com/stewdio/THREE.VRController/issues/8
 
-	'Spatial Controller (Spatial Interaction Source)': {
 
+    //////////////
+   //          //
+  //   Head   //
+ //          //
+//////////////
 
-		//  It’s hard to know what to call these controllers. They report as
-		// “Spatial Controllers” but are branded as “Motion Controllers”
-		//  and they’re for “Windows Mixed Reality” devices... 
-		// “Microsoft Windows Mixed Reality Spatial Motion Controller”?
-		//  Their team prefers “Windows motion controllers”. But for our style
-		//  property string we want pith -- a single short word that makes it
-		//  easy to distinguish from Oculus, Vive, etc. So we’ll go with 
-		// “microsoft” as in “this is a controller in the style of Microsoft”.
-		//
-		//  NOTE: Currently Windows Mixed Reality devices only function in 
-		//  Microsoft Edge on latest builds of Windows 10.
 
-		style: 'microsoft',
-		axes: [
+//  3DOF controllers hang off an arm model, and an arm model needs a head.
+//  With each THREE.VRController.update() we read the head pose ourselves:
+//  from the VR display’s frame data for WebVR (we’ll go looking for a
+//  display unless you set THREE.VRController.vrDisplay yourself) or from the
+//  XRFrame’s viewer pose for WebXR. Every controller shares this one head
+//  unless you give it another via controller.head = camera. Anything with a
+//  position and a quaternion will do. Either way the head is expected in
+//  the same space as the controller’s own pose, before its standingMatrix.
+//
+//  Orientation-only headsets like Oculus Go and GearVR don’t report a
+//  position at all, so a neck model swings your eyes around a pivot
+//  instead. That’s plenty plausible for the arm model to do its job.
+//
+//  No headset? (Simulator, anyone?) THREE.VRController.setHeadPose()
+//  takes orientation and position Arrays just like a VRPose does.
 
+THREE.VRController.head = {
 
-			//  THUMBSTICK
-			//  The thumbstick is super twitchy, seems to fire quite a bit on
-			//  its own. Its Y-axis is “Regular”.
-			//
-			//              Top: Y = -1
-			//                   ↑
-			//    Left: X = -1 ←─┼─→ Right: X = +1
-			//                   ↓
-			//           Bottom: Y = +1
+	position:    new THREE.Vector3(),
+	quaternion:  new THREE.Quaternion(),
+	hasPosition: false
+}
+THREE.VRController.vrDisplay = undefined
+THREE.VRController.vrFrameData = undefined
 
-			{ name: 'thumbstick', indexes: [ 0, 1 ]},
 
+//  origin:    Where your eyes are when looking straight ahead.
+//  neckToEye: From the pivot in your neck to your eyes, looking straight
+//             ahead. So by default the pivot is below and behind them.
 
-			//  THUMBPAD
-			//  Operates exactly the same as the thumbstick but without the
-			//  extra twitchiness.
+THREE.VRController.neckModel = {
 
-			{ name: 'thumbpad',   indexes: [ 2, 3 ]}
-		],
-		buttons: [
+	enabled:   true,
+	origin:    [ 0, 0, 0 ],
+	neckToEye: [ 0, 0.075, -0.08 ]
+}
+THREE.VRController.prototype.getHead = function(){
 
+	return this.head !== undefined ? this.head : THREE.VRController.head
+}
+THREE.VRController.setHeadPose = function( orientation, position ){
 
-			//  THUMBSTICK
-			//  --------------------------------------------------------------
-			//  value:     Binary 0 or 1, duplicates isPressed.
-			//  isTouched: Duplicates isPressed.
-			//  isPressed: As expected.
+	var
+	head = THREE.VRController.head,
+	neck = THREE.VRController.neckModel,
+	eyes
 
-			'thumbstick',
+	if( orientation !== undefined && orientation !== null ) head.quaternion.fromArray( orientation )
+	if( position !== undefined && position !== null ){
 
+		head.position.fromArray( position )
+		head.hasPosition = true
+	}
+	else if( neck.enabled ){
 
-			//  TRIGGER
-			//  Its physical range of motion noticably exceeds the range of
-			//  values reported. For example when engaging you can continue
-			//  to squueze beyond when the value reports 1. And when 
-			//  releasing you will reach value === 0 before the trigger is 
-			//  completely released. The value property dictates touch and
-			//  press states as follows:
-			//
-			//  Upon engaging
-			//  if( value >= 0.00 && value < 0.10 ) NO VALUES REPORTED AT ALL!
-			//  if( value >= 0.10 ) isTouched = true
-			//  if( value >= 0.12 ) isPressed = true
-			//
-			//  Upon releasing
-			//  if( value <  0.12 ) isPressed = false
-			//  if( value == 0.00 ) isTouched = false
-			//  --------------------------------------------------------------
-			//  value:     Analog 0 to 1.
-			//  isTouched: Simulated, corresponds to value.
-			//  isPressed: Corresponds to value.
+		eyes = new THREE.Vector3().fromArray( neck.neckToEye )
+		head.position.fromArray( neck.origin ).sub( eyes ).add( eyes.applyQuaternion( head.quaternion ))
+		head.hasPosition = false
+	}
+}
 
-			'trigger',
 
+//  No headset yet? We ask again, but not every frame. And if the browser
+//  refuses outright we still need to be ready to ask again later.
 
-			//  GRIP
-			//  --------------------------------------------------------------
-			//  value:     Binary 0 or 1, duplicates isPressed.
-			//  isTouched: Duplicates isPressed.
-			//  isPressed: As expected.
+THREE.VRController.VR_DISPLAY_RETRY = 1000
+THREE.VRController.findVRDisplay = function(){
 
-			'grip',
+	var scope = THREE.VRController
 
+	if( scope.isFindingVRDisplay || typeof navigator === 'undefined' || navigator.getVRDisplays === undefined ) return
+	if( scope.nextVRDisplaySearch !== undefined && scope.now() < scope.nextVRDisplaySearch ) return
+	scope.isFindingVRDisplay = true
+	navigator.getVRDisplays().then( function( displays ){
 
-			//  MENU
-			//  --------------------------------------------------------------
-			//  value:     Binary 0 or 1, duplicates isPressed.
-			//  isTouched: Duplicates isPressed.
-			//  isPressed: As expected.
+		if( scope.vrDisplay === undefined && displays.length > 0 ) scope.vrDisplay = displays[ 0 ]
+		scope.isFindingVRDisplay = false
+		scope.nextVRDisplaySearch = scope.now() + scope.VR_DISPLAY_RETRY
+	})
+	.catch( function( error ){
 
-			'menu',
+		if( scope.verbosity >= 0.5 ) console.warn( 'THREE.VRController.findVRDisplay:', error )
+		scope.isFindingVRDisplay = false
+		scope.nextVRDisplaySearch = scope.now() + scope.VR_DISPLAY_RETRY
+	})
+}
+THREE.VRController.updateHeadFromVRDisplay = function(){
 
+	var
+	scope = THREE.VRController,
+	display = scope.vrDisplay,
+	pose
 
-			//  THUMBPAD
-			//  This is the only button that has actual touch detection.
-			//  --------------------------------------------------------------
-			//  value:     Binary 0 or 1, duplicates isPressed.
-			//  isTouched: YES has real touch detection.
-			//  isPressed: As expected.
+	if( display === undefined || display === null ) return scope.findVRDisplay()
 
-			'thumbpad'
-		],
-		primary: 'trigger'
+
+	//  getPose() is deprecated but it’s all the oldest browsers have.
+
+	if( display.getFrameData !== undefined && typeof VRFrameData !== 'undefined' ){
+
+		if( scope.vrFrameData === undefined ) scope.vrFrameData = new VRFrameData()
+		display.getFrameData( scope.vrFrameData )
+		pose = scope.vrFrameData.pose
 	}
+	else if( display.getPose !== undefined ) pose = display.getPose()
+	if( pose ) scope.setHeadPose( pose.orientation, pose.position )
 }
 
 
+//  WebXR runtimes emulate a position for orientation-only headsets
+//  themselves so we happily take whatever they give us.
+
+THREE.VRController.updateHeadFromXRFrame = function( frame, referenceSpace ){
+
+	var
+	pose = frame.getViewerPose !== undefined ? frame.getViewerPose( referenceSpace ) : null,
+	position, orientation
 
+	if( pose === undefined || pose === null ) return
+	position = pose.transform.position
+	orientation = pose.transform.orientation
+	THREE.VRController.setHeadPose(
 
+		[ orientation.x, orientation.y, orientation.z, orientation.w ],
+		[ position.x, position.y, position.z ]
+	)
+}
 
 
 
@@ -1237,11 +6290,22 @@ THREE.VRController.supported = {
 //  Feed it a camera and the controller. Update it on a RAF.
 //  Get the model's pose using getPose().
 
-function OrientationArmModel(){
+function OrientationArmModel( settings ){
 
 	this.isLeftHanded = false;
 
 
+	//  Every arm is different. Our statics below are just the defaults.
+
+	this.setSettings( settings );
+
+
+	//  Which side of the body the arm is on: 1 for right, -1 for left.
+	//  Somewhere in between while switching hands.
+
+	this.side = 1;
+
+
 	//  Current and previous controller orientations.
 
 	this.controllerQ     = new THREE.Quaternion();
@@ -1295,10 +6359,58 @@ Object.assign( OrientationArmModel, {
 	ARM_EXTENSION_OFFSET    : new THREE.Vector3( -0.08, 0.14, 0.08 ),
 	ELBOW_BEND_RATIO        : 0.4,//  40% elbow, 60% wrist.
 	EXTENSION_RATIO_WEIGHT  : 0.4,
-	MIN_ANGULAR_SPEED       : 0.61//  35˚ per second, converted to radians.
+	MIN_ANGULAR_SPEED       : 0.61,//  35˚ per second, converted to radians.
+	SIDE_SWITCH_DURATION    : 0.25//  Seconds to move the arm across the body.
 });
 
 
+//  SETTINGS.
+//  Any of these may be left out to use the static default instead:
+//  headElbowOffset, elbowWristOffset, wristControllerOffset, and
+//  armExtensionOffset as [ x, y, z ] Arrays (or THREE.Vector3s) for a right
+//  arm; elbowBendRatio, extensionRatioWeight, and minAngularSpeed as Numbers.
+
+OrientationArmModel.prototype.setSettings = function( settings ){
+
+	function toVector( value, fallback ){
+
+		if( value === undefined ) return fallback.clone();
+		if( Array.isArray( value )) return new THREE.Vector3().fromArray( value );
+		return value.clone();
+	}
+	function toNumber( value, fallback ){
+
+		return value !== undefined ? value : fallback;
+	}
+
+	if( settings === undefined ) settings = {};
+	this.headElbowOffset       = toVector( settings.headElbowOffset,       OrientationArmModel.HEAD_ELBOW_OFFSET );
+	this.elbowWristOffset      = toVector( settings.elbowWristOffset,      OrientationArmModel.ELBOW_WRIST_OFFSET );
+	this.wristControllerOffset = toVector( settings.wristControllerOffset, OrientationArmModel.WRIST_CONTROLLER_OFFSET );
+	this.armExtensionOffset    = toVector( settings.armExtensionOffset,    OrientationArmModel.ARM_EXTENSION_OFFSET );
+	this.elbowBendRatio        = toNumber( settings.elbowBendRatio,        OrientationArmModel.ELBOW_BEND_RATIO );
+	this.extensionRatioWeight  = toNumber( settings.extensionRatioWeight,  OrientationArmModel.EXTENSION_RATIO_WEIGHT );
+	this.minAngularSpeed       = toNumber( settings.minAngularSpeed,       OrientationArmModel.MIN_ANGULAR_SPEED );
+}
+
+
+//  Plain Arrays and Numbers so you can JSON.stringify() them.
+
+OrientationArmModel.prototype.getSettings = function(){
+
+	return {
+
+		headElbowOffset:       this.headElbowOffset.toArray(),
+		elbowWristOffset:      this.elbowWristOffset.toArray(),
+		wristControllerOffset: this.wristControllerOffset.toArray(),
+		armExtensionOffset:    this.armExtensionOffset.toArray(),
+		elbowBendRatio:        this.elbowBendRatio,
+		extensionRatioWeight:  this.extensionRatioWeight,
+		minAngularSpeed:       this.minAngularSpeed
+	};
+}
+
+
 //  SETTERS.
 //  Methods to set controller and head pose (in world coordinates).
 
@@ -1315,9 +6427,16 @@ OrientationArmModel.prototype.setHeadPosition = function( position ){
 
 	this.headPos.copy( position );
 }
-OrientationArmModel.prototype.setLeftHanded = function( isLeftHanded ){//  TODO(smus): Implement me!
+
+
+//  Offsets are written for the right arm, so for the left we mirror them.
+//  Switching hands mid-session slides the arm across rather than jumping,
+//  unless isImmediate is true -- handy when first setting things up.
+
+OrientationArmModel.prototype.setLeftHanded = function( isLeftHanded, isImmediate ){
 
 	this.isLeftHanded = isLeftHanded;
+	if( isImmediate ) this.side = isLeftHanded ? -1 : 1;
 }
 
 
@@ -1326,7 +6445,7 @@ OrientationArmModel.prototype.setLeftHanded = function( isLeftHanded ){//  TODO(
  */
 OrientationArmModel.prototype.update = function(){
 
-	this.time = performance.now();
+	this.time = THREE.VRController.now();
 
 
 	//  If the controller’s angular velocity is above a certain amount,
@@ -1339,13 +6458,28 @@ OrientationArmModel.prototype.update = function(){
 	angleDelta = this.quatAngle_( this.lastControllerQ, this.controllerQ ),
 	controllerAngularSpeed = angleDelta / timeDelta;
 
-	if( controllerAngularSpeed > OrientationArmModel.MIN_ANGULAR_SPEED ){
+	if( controllerAngularSpeed > this.minAngularSpeed ){
 
 		this.rootQ.slerp( headYawQ, angleDelta / 10 );// Attenuate the Root rotation slightly.
 	}
 	else this.rootQ.copy( headYawQ );
 
 
+	//  Ease toward the side of the body we belong on.
+
+	var
+	sideTarget = this.isLeftHanded ? -1 : 1,
+	sideStep = this.lastTime === null ? 2 : 2 * timeDelta / OrientationArmModel.SIDE_SWITCH_DURATION,
+	headElbowOffset = this.headElbowOffset.clone(),
+	armExtensionOffset = this.armExtensionOffset.clone();
+
+	this.side = sideTarget > this.side ?
+		Math.min( sideTarget, this.side + sideStep ) :
+		Math.max( sideTarget, this.side - sideStep );
+	headElbowOffset.x *= this.side;
+	armExtensionOffset.x *= this.side;
+
+
 	// We want to move the elbow up and to the center as the user points the
 	// controller upwards, so that they can easily see the controller and its
 	// tool tips.
@@ -1359,8 +6493,8 @@ OrientationArmModel.prototype.update = function(){
 
 	// Calculate elbow position.
 	var elbowPos = this.elbowPos;
-	elbowPos.copy(this.headPos).add(OrientationArmModel.HEAD_ELBOW_OFFSET);
-	var elbowOffset = new THREE.Vector3().copy(OrientationArmModel.ARM_EXTENSION_OFFSET);
+	elbowPos.copy(this.headPos).add(headElbowOffset);
+	var elbowOffset = new THREE.Vector3().copy(armExtensionOffset);
 	elbowOffset.multiplyScalar(extensionRatio);
 	elbowPos.add(elbowOffset);
 
@@ -1371,10 +6505,10 @@ OrientationArmModel.prototype.update = function(){
 	var totalAngleDeg = THREE.Math.radToDeg(totalAngle);
 	var lerpSuppression = 1 - Math.pow(totalAngleDeg / 180, 4); // TODO(smus): ???
 
-	var elbowRatio = OrientationArmModel.ELBOW_BEND_RATIO;
-	var wristRatio = 1 - OrientationArmModel.ELBOW_BEND_RATIO;
+	var elbowRatio = this.elbowBendRatio;
+	var wristRatio = 1 - this.elbowBendRatio;
 	var lerpValue = lerpSuppression *
-			(elbowRatio + wristRatio * extensionRatio * OrientationArmModel.EXTENSION_RATIO_WEIGHT);
+			(elbowRatio + wristRatio * extensionRatio * this.extensionRatioWeight);
 
 	var wristQ = new THREE.Quaternion().slerp(controllerCameraQ, lerpValue);
 	var invWristQ = wristQ.inverse();
@@ -1391,13 +6525,13 @@ OrientationArmModel.prototype.update = function(){
 		);
 	*/
 	var wristPos = this.wristPos;
-	wristPos.copy(OrientationArmModel.WRIST_CONTROLLER_OFFSET);
+	wristPos.copy(this.wristControllerOffset);
 	wristPos.applyQuaternion(wristQ);
-	wristPos.add(OrientationArmModel.ELBOW_WRIST_OFFSET);
+	wristPos.add(this.elbowWristOffset);
 	wristPos.applyQuaternion(elbowQ);
 	wristPos.add(this.elbowPos);
 
-	var offset = new THREE.Vector3().copy(OrientationArmModel.ARM_EXTENSION_OFFSET);
+	var offset = new THREE.Vector3().copy(armExtensionOffset);
 	offset.multiplyScalar(extensionRatio);
 
 	var position = new THREE.Vector3().copy(this.wristPos);
@@ -1431,7 +6565,7 @@ OrientationArmModel.prototype.getPose = function(){
 
 OrientationArmModel.prototype.getForearmLength = function(){
 
-	return OrientationArmModel.ELBOW_WRIST_OFFSET.length();
+	return this.elbowWristOffset.length();
 }
 OrientationArmModel.prototype.getElbowPosition = function(){
 
@@ -1473,4 +6607,251 @@ OrientationArmModel.prototype.quatAngle_ = function( q1, q2 ){
 	vec1.applyQuaternion( q1 );
 	vec2.applyQuaternion( q2 );
 	return vec1.angleTo( vec2 );
+}
+
+
+
+//  Everything above treats you as a standing adult of average build.
+//  If you’re not, pick a preset or pass your own settings (see SETTINGS
+//  above) to any 3DOF controller:
+//
+//    controller.setArmModel( 'seated' )
+//    controller.setArmModel({ elbowWristOffset: [ 0, 0, -0.22 ]})
+//
+//  Or better yet, measure! See ArmModelCalibration below.
+
+THREE.VRController.armModelPresets = {
+
+	standing: {
+
+		headElbowOffset:       [  0.155, -0.465, -0.15 ],
+		elbowWristOffset:      [  0, 0, -0.25 ],
+		wristControllerOffset: [  0, 0,  0.05 ],
+		armExtensionOffset:    [ -0.08, 0.14, 0.08 ]
+	},
+
+
+	//  Sitting back, elbows come forward to rest on your lap or an armrest
+	//  and don’t lift as far when you raise the controller.
+
+	seated: {
+
+		headElbowOffset:       [  0.155, -0.43, -0.2 ],
+		elbowWristOffset:      [  0, 0, -0.25 ],
+		wristControllerOffset: [  0, 0,  0.05 ],
+		armExtensionOffset:    [ -0.06, 0.1, 0.06 ]
+	},
+
+
+	//  Roughly 70% scale, for a child of about 1.2 meters.
+
+	child: {
+
+		headElbowOffset:       [  0.11, -0.33, -0.1 ],
+		elbowWristOffset:      [  0, 0, -0.175 ],
+		wristControllerOffset: [  0, 0,  0.035 ],
+		armExtensionOffset:    [ -0.056, 0.1, 0.056 ]
+	}
+}
+
+
+//  Accepts a preset name or a settings object.
+//  Takes effect right away, even if the arm model already exists.
+//  We keep our own copy so changing yours later changes nothing here.
+
+THREE.VRController.prototype.setArmModel = function( settings ){
+
+	var
+	presets = THREE.VRController.armModelPresets,
+	copy = {}
+
+	if( typeof settings === 'string' ){
+
+		if( presets[ settings ] === undefined ){
+
+			throw new Error( 'THREE.VRController.setArmModel: unknown preset "'+ settings +'". Expected one of: '+ Object.keys( presets ).join( ', ' ))
+		}
+		settings = presets[ settings ]
+	}
+	Object.keys( settings ).forEach( function( key ){
+
+		var value = settings[ key ]
+
+		if( value instanceof THREE.Vector3 ) value = value.clone()
+		else if( Array.isArray( value )) value = value.slice()
+		else if( value !== null && typeof value === 'object' ) value = Object.assign( {}, value )
+		copy[ key ] = value
+	})
+	this.armModelSettings = copy
+	if( this.armModel !== undefined ) this.armModel.setSettings( this.armModelSettings )
+	return this
+}
+THREE.VRController.prototype.getArmModelSettings = function(){
+
+	return ( this.armModel !== undefined ? this.armModel : new OrientationArmModel( this.armModelSettings )).getSettings()
+}
+
+
+//  Two quick poses and we can size the arm model to fit you:
+//
+//    const calibration = new THREE.VRController.ArmModelCalibration( controller ).start()
+//    showText( calibration.getPrompt() )
+//    controller.addEventListener( 'arm model calibration step', function( event ){ showText( event.prompt ) })
+//    controller.addEventListener( 'arm model calibrated', function( event ){
+//
+//      localStorage.setItem( 'arm', JSON.stringify( event.settings ))
+//    })
+//
+//  Each press of the button (options.button, 'primary' by default) captures
+//  one pose. First we ask you to hold your arm straight out in front at
+//  shoulder height and point forward. That tells us what level looks like
+//  for this controller. Then, without moving your hand, we ask you to tilt
+//  the controller to point at your feet. Your shoulder height follows from
+//  your eye height (see getEyeHeight below, or pass options.headHeight)
+//  and how far down you had to point tells us how far away your hand is --
+//  that’s your arm length.
+//
+//  The resulting settings are applied to the controller (unless you pass
+//  { apply: false }) and also include the measurements they came from.
+
+THREE.VRController.ArmModelCalibration = function( controller, options ){
+
+	if( options === undefined ) options = {}
+	this.controller = controller
+	this.button     = options.button !== undefined ? options.button : 'primary'
+	this.headHeight = options.headHeight
+	this.apply      = options.apply !== false
+	this.samples    = []
+	this.settings   = null
+	this.onPress    = this.capture.bind( this )
+}
+THREE.VRController.ArmModelCalibration.steps = [
+
+	'Hold your arm straight out in front of you at shoulder height, point forward, and press the button.',
+	'Without moving your hand, tilt the controller to point at your feet and press the button.'
+]
+
+
+//  Body proportions relative to standing height: eyes and shoulders.
+//  And how long (in meters) our standing preset’s arm is from shoulder to
+//  controller, hanging the elbow 0.3 below a shoulder 0.165 below the eyes.
+
+THREE.VRController.ArmModelCalibration.EYE_HEIGHT_RATIO      = 0.935
+THREE.VRController.ArmModelCalibration.SHOULDER_HEIGHT_RATIO = 0.82
+THREE.VRController.ArmModelCalibration.ARM_LENGTH = 0.6
+
+
+//  How high are your eyes? A tracked head knows. A head from the neck model
+//  only pivots about THREE.VRController.neckModel.origin -- [ 0, 0, 0 ]
+//  unless you’ve raised it -- so its height tells us nothing. Then we go by
+//  that origin if it’s been raised, or else by an average adult’s EYE_HEIGHT.
+
+THREE.VRController.ArmModelCalibration.EYE_HEIGHT = 1.6
+THREE.VRController.ArmModelCalibration.getEyeHeight = function( head ){
+
+	var neck = THREE.VRController.neckModel
+
+	if( head.hasPosition !== false ) return head.position.y
+	if( neck.origin[ 1 ] > 0 ) return neck.origin[ 1 ] + neck.neckToEye[ 1 ]
+	return THREE.VRController.ArmModelCalibration.EYE_HEIGHT
+}
+THREE.VRController.ArmModelCalibration.prototype.start = function(){
+
+	this.samples  = []
+	this.settings = null
+	this.controller.addEventListener( this.button +' press began', this.onPress )
+	return this
+}
+THREE.VRController.ArmModelCalibration.prototype.stop = function(){
+
+	this.controller.removeEventListener( this.button +' press began', this.onPress )
+	return this
+}
+THREE.VRController.ArmModelCalibration.prototype.getPrompt = function(){
+
+	return THREE.VRController.ArmModelCalibration.steps[ this.samples.length ]
+}
+THREE.VRController.ArmModelCalibration.prototype.isFinished = function(){
+
+	return this.settings !== null
+}
+
+
+//  We want the controller’s own orientation here, not where the arm model
+//  (which we’re busy calibrating!) thinks it is.
+
+THREE.VRController.ArmModelCalibration.prototype.capture = function(){
+
+	var
+	controller = this.controller,
+	orientation = controller.gamepad.pose.orientation,
+	steps = THREE.VRController.ArmModelCalibration.steps
+
+	if( this.isFinished() || orientation === null ) return this
+	this.samples.push({
+
+		orientation: new THREE.Quaternion().fromArray( orientation ),
+		headHeight:  THREE.VRController.ArmModelCalibration.getEyeHeight( controller.getHead() )
+	})
+	if( this.samples.length < steps.length ){
+
+		controller.dispatchEvent({
+
+			type:   'arm model calibration step',
+			step:   this.samples.length,
+			prompt: this.getPrompt()
+		})
+		return this
+	}
+	this.stop()
+	this.settings = THREE.VRController.ArmModelCalibration.solve(
+
+		this.samples[ 0 ].orientation,
+		this.samples[ 1 ].orientation,
+		this.headHeight !== undefined ? this.headHeight : this.samples[ 0 ].headHeight
+	)
+	if( this.apply ) controller.setArmModel( this.settings )
+	controller.dispatchEvent({ type: 'arm model calibrated', settings: this.settings })
+	return this
+}
+
+
+//  Pointing forward and pointing at your feet -- both as quaternions --
+//  plus your eye height in meters gets you arm model settings.
+
+THREE.VRController.ArmModelCalibration.solve = function( forward, feet, headHeight ){
+
+	var
+	scope = THREE.VRController.ArmModelCalibration,
+	standing = THREE.VRController.armModelPresets.standing,
+	pitchForward = new THREE.Euler().setFromQuaternion( forward, 'YXZ' ).x,
+	pitchFeet    = new THREE.Euler().setFromQuaternion( feet,    'YXZ' ).x,
+	angle = THREE.Math.clamp( pitchForward - pitchFeet, THREE.Math.degToRad( 20 ), THREE.Math.degToRad( 85 )),
+	height = headHeight / scope.EYE_HEIGHT_RATIO,
+	shoulderHeight = height * scope.SHOULDER_HEIGHT_RATIO,
+	armLength = THREE.Math.clamp( shoulderHeight / Math.tan( angle ), 0.3, 1 ),
+	scale = armLength / scope.ARM_LENGTH
+
+	function scaled( vector ){
+
+		return vector.map( function( value ){ return value * scale })
+	}
+	return {
+
+		headElbowOffset: [
+
+			standing.headElbowOffset[ 0 ] * scale,
+			shoulderHeight - headHeight - 0.3 * scale,
+			standing.headElbowOffset[ 2 ] * scale
+		],
+		elbowWristOffset:      scaled( standing.elbowWristOffset ),
+		wristControllerOffset: scaled( standing.wristControllerOffset ),
+		armExtensionOffset:    scaled( standing.armExtensionOffset ),
+		measurements: {
+
+			headHeight:     headHeight,
+			shoulderHeight: shoulderHeight,
+			armLength:      armLength
+		}
+	}
 }
\ No newline at end of file
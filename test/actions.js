@@ -0,0 +1,38 @@
+
+
+
+
+//  Actions: abstract bindings that fire events on the right controller.
+
+VRControllerTests.add( 'Hand-specific actions fire once, on that hand', function( simulator, assert ){
+
+	var
+	left  = simulator.connect( 'Oculus Touch (Left)',  { index: 0, hand: 'left' }),
+	right = simulator.connect( 'Oculus Touch (Right)', { index: 1, hand: 'right' }),
+	began = []
+
+	THREE.VRController.addActionSet( 'test', {
+
+		zoom:  { type: 'button', bindings: { default: { all: [ 'left:grip', 'right:grip' ]}}},
+		shoot: { type: 'button', bindings: { default: 'trigger' }}
+	})
+	THREE.VRController.setActionSet( 'test' )
+	try {
+
+		THREE.VRController.update()
+		THREE.VRController.controllers.forEach( function( controller ){
+
+			controller.addEventListener( 'zoom began',  function(){ began.push( 'zoom '+  controller.getHandedness() )})
+			controller.addEventListener( 'shoot began', function(){ began.push( 'shoot '+ controller.getHandedness() )})
+		})
+		left.press( 'grip' )
+		right.press( 'grip' ).press( 'trigger' )
+		THREE.VRController.update()
+		assert.equal( began.sort().join( ', ' ), 'shoot right, zoom left' )
+	}
+	finally {
+
+		THREE.VRController.setActionSet( null )
+		delete THREE.VRController.actionSets.test
+	}
+})
@@ -0,0 +1,104 @@
+
+
+
+
+//  Arm model: presets, your own settings, and calibration.
+
+function connectArmModelController( simulator ){
+
+	var gamepad = simulator.connect( 'Daydream Controller', { dof: 3, hand: 'right' })
+
+	THREE.VRController.update()
+	return THREE.VRController.controllers.find( function( controller ){
+
+		return controller !== undefined && controller.gamepad === gamepad
+	})
+}
+
+VRControllerTests.add( 'Arm model presets', function( simulator, assert ){
+
+	var controller = connectArmModelController( simulator )
+
+	controller.setArmModel( 'seated' )
+	assert.equal(
+
+		controller.getArmModelSettings().headElbowOffset.join( ', ' ),
+		THREE.VRController.armModelPresets.seated.headElbowOffset.join( ', ' )
+	)
+	assert.throws( function(){ controller.setArmModel( 'hovering' )}, /unknown preset/ )
+})
+
+VRControllerTests.add( 'Arm model takes THREE.Vector3 settings', function( simulator, assert ){
+
+	var
+	controller = connectArmModelController( simulator ),
+	offset = new THREE.Vector3( 0, 0, -0.22 )
+
+	controller.setArmModel({ elbowWristOffset: offset, elbowBendRatio: 0.5 })
+	offset.z = -1
+	assert.close( controller.getArmModelSettings().elbowWristOffset[ 2 ], -0.22, 1e-6, 'before the arm model exists' )
+	THREE.VRController.update()
+	assert.ok( controller.armModel !== undefined )
+	controller.setArmModel({ elbowWristOffset: new THREE.Vector3( 0, 0, -0.3 )})
+	assert.close( controller.getArmModelSettings().elbowWristOffset[ 2 ], -0.3, 1e-6, 'once it does' )
+})
+
+VRControllerTests.add( 'Arm model calibration round trip', function( simulator, assert ){
+
+	var
+	controller  = connectArmModelController( simulator ),
+	gamepad     = controller.gamepad,
+	calibration = new THREE.VRController.ArmModelCalibration( controller ).start(),
+	scope       = THREE.VRController.ArmModelCalibration,
+	angle       = Math.PI / 3,
+	calibrated, shoulderHeight, other
+
+
+	//  No head position, so the neck model (and an average eye height) it is.
+
+	THREE.VRController.setHeadPose([ 0, 0, 0, 1 ])
+	gamepad.setPose( null, [ 0, 0, 0, 1 ]).press( 'primary' )
+	THREE.VRController.update()
+	gamepad.release( 'primary' )
+	THREE.VRController.update()
+	gamepad.setPose( null, new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 1, 0, 0 ), -angle ).toArray()).press( 'primary' )
+	controller.addEventListener( 'arm model calibrated', function( event ){ calibrated = event.settings })
+	THREE.VRController.update()
+	assert.ok( calibration.isFinished())
+	shoulderHeight = scope.EYE_HEIGHT / scope.EYE_HEIGHT_RATIO * scope.SHOULDER_HEIGHT_RATIO
+	assert.close( calibrated.measurements.headHeight, scope.EYE_HEIGHT, 1e-6 )
+	assert.close( calibrated.measurements.armLength, shoulderHeight / Math.tan( angle ), 1e-6 )
+	assert.close( controller.getArmModelSettings().headElbowOffset[ 1 ], calibrated.headElbowOffset[ 1 ], 1e-6, 'applied' )
+
+
+	//  Saved and restored, say via localStorage.
+
+	other = connectArmModelController( simulator )
+	other.setArmModel( JSON.parse( JSON.stringify( calibrated )))
+	assert.equal( JSON.stringify( other.getArmModelSettings()), JSON.stringify( controller.getArmModelSettings()))
+})
+
+VRControllerTests.add( 'Arm model mirrors for the left hand without a jump', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Daydream Controller', { dof: 3, hand: 'right' }),
+	position = new THREE.Vector3(),
+	right, controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	right = position.setFromMatrixPosition( controller.matrix ).x
+	assert.ok( right > 0, 'right hand on the right' )
+	gamepad.setHand( 'left' )
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	position.setFromMatrixPosition( controller.matrix )
+	assert.ok( position.x < right && position.x > 0, 'on its way across, not there already' )
+	simulator.advance( 500 )
+	THREE.VRController.update()
+	assert.close( position.setFromMatrixPosition( controller.matrix ).x, -right, 1e-6, 'mirrored' )
+})
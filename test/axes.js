@@ -0,0 +1,102 @@
+//  Axes: deadzones, response curves, and the d-pads we build from them.
+
+VRControllerTests.add( 'Axes settings shape what we report', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	changes = 0,
+	controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.setAxesSettings( 'thumbstick', { deadzone: 0.2, saturation: 0.9, curve: 2, epsilon: 0.05 })
+	controller.addEventListener( 'thumbstick axes changed', function(){ changes ++ })
+	gamepad.setAxes( 'thumbstick', [ 0.1, 0 ])
+	THREE.VRController.update()
+	assert.equal( controller.getAxes( 'thumbstick' )[ 0 ], 0, 'inside the deadzone' )
+	assert.equal( controller.getAxesRaw( 'thumbstick' )[ 0 ], 0.1, 'raw is untouched' )
+
+
+	//  Half way between deadzone and saturation, squared.
+
+	gamepad.setAxes( 'thumbstick', [ 0.55, 0 ])
+	THREE.VRController.update()
+	assert.close( controller.getAxes( 'thumbstick' )[ 0 ], 0.25, 1e-6, 'curved' )
+	assert.equal( changes, 1 )
+	gamepad.setAxes( 'thumbstick', [ 0.56, 0 ])
+	THREE.VRController.update()
+	assert.equal( changes, 1, 'too small a change to mention' )
+	assert.close( controller.getAxes( 'thumbstick' )[ 0 ], 0.25, 1e-6 )
+	gamepad.setAxes( 'thumbstick', [ 0.95, 0 ])
+	THREE.VRController.update()
+	assert.equal( controller.getAxes( 'thumbstick' )[ 0 ], 1, 'saturated' )
+
+
+	//  Axial deadzones judge each axis on its own.
+
+	controller.setAxesSettings( 'thumbstick', { deadzoneType: 'axial', curve: 1 })
+	gamepad.setAxes( 'thumbstick', [ 0.1, -0.55 ])
+	THREE.VRController.update()
+	assert.equal( controller.getAxes( 'thumbstick' )[ 0 ], 0 )
+	assert.close( controller.getAxes( 'thumbstick' )[ 1 ], -0.5, 1e-6 )
+})
+
+VRControllerTests.add( 'Axes pairs make d-pad buttons', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	events = [],
+	controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.setAxesSettings( 'thumbstick', { deadzone: 0 })
+	THREE.VRController.DPAD_DIRECTIONS.forEach( function( direction ){
+
+		controller.addEventListener( 'thumbstick '+ direction +' press began', function(){ events.push( direction +' began' )})
+		controller.addEventListener( 'thumbstick '+ direction +' press ended', function(){ events.push( direction +' ended' )})
+	})
+	gamepad.setAxes( 'thumbstick', [ 0, -0.6 ])
+	THREE.VRController.update()
+	assert.equal( events.join(), 'up began', 'up is negative' )
+	assert.ok( controller.getButton( 'thumbstick up' ).isPressed )
+
+
+	//  A wobbly thumb shouldn’t rapid-fire.
+
+	gamepad.setAxes( 'thumbstick', [ 0, -0.45 ])
+	THREE.VRController.update()
+	assert.equal( events.length, 1, 'held within the hysteresis' )
+	gamepad.setAxes( 'thumbstick', [ 0.6, 0 ])
+	THREE.VRController.update()
+	assert.equal( events.join(), 'up began,up ended,right began', 'let go before pressing the next' )
+	controller.setAxesSettings( 'thumbstick', { dpadDirections: 8 })
+	gamepad.setAxes( 'thumbstick', [ -0.5, 0.5 ])
+	THREE.VRController.update()
+	assert.equal( events.slice( 3 ).join(), 'right ended,down-left began', 'diagonals when asked' )
+	gamepad.setAxes( 'thumbstick', [ 0, 0 ])
+	THREE.VRController.update()
+	assert.equal( events.slice( 5 ).join(), 'down-left ended' )
+})
+
+VRControllerTests.add( 'Thumbpad d-pads only count while touched', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'OpenVR Gamepad' ),
+	controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	gamepad.setAxes( 'thumbpad', [ 0.8, 0 ])
+	THREE.VRController.update()
+	assert.equal( controller.getButton( 'thumbpad right' ).isPressed, false, 'resting thumbpads say nothing' )
+	gamepad.touch( 'thumbpad' )
+	THREE.VRController.update()
+	assert.equal( controller.getButton( 'thumbpad right' ).isPressed, true )
+	controller.setAxesSettings( 'thumbpad', { dpadActivation: 'click' })
+	THREE.VRController.update()
+	assert.equal( controller.getButton( 'thumbpad right' ).isPressed, false, 'unless a click is required' )
+	gamepad.press( 'thumbpad' )
+	THREE.VRController.update()
+	assert.equal( controller.getButton( 'thumbpad right' ).isPressed, true )
+})
@@ -0,0 +1,97 @@
+
+
+
+
+//  Gestures: what your thumb and buttons are up to over time.
+
+VRControllerTests.add( 'Thumbpad gestures keep the sample from the update a touch began', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'OpenVR Gamepad' ),
+	swipes = [],
+	controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.addEventListener( 'thumbpad swipe right', function( event ){ swipes.push( event ) })
+
+
+	//  Landing registers a position in the same update as the touch, but
+	//  a real clock keeps ticking between those two events. No wall-clock
+	//  window should decide whether that first sample counts.
+
+	THREE.VRController.now = function(){ return simulator.time += 5 }
+	gamepad.touch( 'thumbpad' ).setAxes( 'thumbpad', [ -0.4, 0 ])
+	THREE.VRController.update()
+	gamepad.setAxes( 'thumbpad', [ 0.4, 0 ])
+	THREE.VRController.update()
+	gamepad.untouch( 'thumbpad' )
+	THREE.VRController.update()
+	assert.equal( swipes.length, 1 )
+	assert.close( swipes[ 0 ].distance, 0.8, 1e-6 )
+})
+
+VRControllerTests.add( 'Button patterns: double, long, repeat, and chords', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	events = [],
+	controller, patterns
+
+	function log( event ){ events.push( event.type + ( event.count !== undefined ? ' '+ event.count : '' ))}
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	patterns = controller.buttonPatterns
+	patterns.addChord([ 'grip', 'trigger' ])
+	assert.throws( function(){ patterns.addChord([ 'grip', 'nope' ])}, /no button named "nope"/ )
+	;[ 'trigger double press', 'trigger long press', 'trigger press repeat',
+		'grip+trigger press began', 'grip+trigger press ended' ].forEach( function( type ){
+
+		controller.addEventListener( type, log )
+	})
+
+
+	//  Two quick taps.
+
+	gamepad.press( 'trigger' )
+	THREE.VRController.update()
+	gamepad.release( 'trigger' )
+	simulator.advance( 100 )
+	THREE.VRController.update()
+	gamepad.press( 'trigger' )
+	simulator.advance( 100 )
+	THREE.VRController.update()
+	assert.equal( events.join(), 'trigger double press' )
+
+
+	//  Keep holding: long press at 600, repeats from 500 every 100.
+	//  (A few spare milliseconds keep floating point on our side.)
+
+	simulator.advance( 505 )
+	THREE.VRController.update()
+	assert.equal( events.slice( 1 ).join(), 'trigger press repeat 1' )
+	simulator.advance( 100 )
+	THREE.VRController.update()
+	assert.equal( events.slice( 2 ).join(), 'trigger long press,trigger press repeat 2' )
+	simulator.advance( 300 )
+	THREE.VRController.update()
+	assert.equal( events.slice( 4 ).join(), 'trigger press repeat 5', 'slow updates skip ahead' )
+	gamepad.release( 'trigger' )
+	simulator.advance( 1000 )
+	THREE.VRController.update()
+
+
+	//  Grip then trigger, close together.
+
+	events.length = 0
+	gamepad.press( 'grip' )
+	THREE.VRController.update()
+	gamepad.press( 'trigger' )
+	simulator.advance( 100 )
+	THREE.VRController.update()
+	assert.equal( events.join(), 'grip+trigger press began' )
+	gamepad.release( 'grip' )
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.equal( events.slice( 1 ).join(), 'grip+trigger press ended' )
+})
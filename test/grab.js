@@ -0,0 +1,52 @@
+
+
+
+
+//  Grabbing: pick it up, carry it, and always let it go.
+
+VRControllerTests.add( 'Grabber carries what it holds', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	ball = new THREE.Object3D(),
+	controller
+
+	ball.position.set( 0, 1, 0 )
+	ball.updateMatrixWorld()
+	gamepad.setPose([ 0, 1, 0 ])
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	new THREE.VRController.Grabber( controller, { objects: [ ball ]})
+	gamepad.press( 'grip' )
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.equal( controller.grabber.held, ball )
+	gamepad.setPose([ 0.2, 1, 0 ])
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.close( ball.position.x, 0.2, 1e-6, 'carried' )
+})
+
+VRControllerTests.add( 'Grabber lets go when its controller disconnects', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	ball = new THREE.Object3D(),
+	ended = 0,
+	controller
+
+	ball.updateMatrixWorld()
+	gamepad.setPose([ 0, 0, 0 ])
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	new THREE.VRController.Grabber( controller, { objects: [ ball ]})
+	ball.addEventListener( 'grab ended', function(){ ended ++ })
+	gamepad.press( 'grip' )
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.equal( controller.grabber.held, ball )
+	simulator.disconnect( gamepad )
+	THREE.VRController.update()
+	assert.equal( controller.grabber.held, null, 'released' )
+	assert.equal( ended, 1, 'grab ended fired once' )
+})
@@ -0,0 +1,89 @@
+
+
+
+
+//  Hi! These are behaviour tests for VRController.js.
+//  Each one scripts simulated gamepads (see THREE.VRController.Simulator)
+//  through the same update() loop your app uses, so no headset required.
+//  Open test/index.html from a local server (see “Run locally” in the
+//  README) and the results will appear on the page.
+
+
+
+
+var VRControllerTests = {
+
+	tests: []
+}
+
+
+//  Register a test. Your function receives a freshly installed Simulator
+//  with a stopped clock, plus some assertions. Anything it throws is a fail.
+
+VRControllerTests.add = function( name, fn ){
+
+	VRControllerTests.tests.push({ name: name, fn: fn })
+}
+
+
+//  Just enough assertions to get by.
+
+VRControllerTests.assert = {
+
+	ok: function( value, message ){
+
+		if( !value ) throw new Error( message || 'Expected a truthy value but got '+ value )
+	},
+	equal: function( actual, expected, message ){
+
+		if( actual !== expected ) throw new Error(( message ? message +': ' : '' ) +'expected '+ expected +' but got '+ actual )
+	},
+	close: function( actual, expected, epsilon, message ){
+
+		if( epsilon === undefined ) epsilon = 1e-6
+		if( !( Math.abs( actual - expected ) <= epsilon )) throw new Error(( message ? message +': ' : '' ) +'expected about '+ expected +' but got '+ actual )
+	},
+	throws: function( fn, pattern, message ){
+
+		try { fn() }
+		catch( error ){
+
+			if( pattern !== undefined && !pattern.test( error.message )) throw new Error(( message ? message +': ' : '' ) +'threw "'+ error.message +'" which does not match '+ pattern )
+			return
+		}
+		throw new Error( message || 'Expected an error to be thrown' )
+	}
+}
+
+
+//  Every test starts from nothing: no controllers, our own gamepads, and
+//  our own clock. And we clean up after ourselves, pass or fail.
+
+VRControllerTests.run = function( report ){
+
+	var results = { passed: 0, failed: 0 }
+
+	VRControllerTests.tests.forEach( function( test ){
+
+		var simulator = new THREE.VRController.Simulator().install({ clock: true })
+
+		try {
+
+			test.fn( simulator, VRControllerTests.assert )
+			results.passed ++
+			report( true, test.name )
+		}
+		catch( error ){
+
+			results.failed ++
+			report( false, test.name, error )
+		}
+		THREE.VRController.controllers.forEach( function( controller ){
+
+			if( controller !== undefined ) THREE.VRController.onGamepadDisconnect( controller.gamepad )
+		})
+		THREE.VRController.controllers.length = 0
+		simulator.uninstall()
+	})
+	return results
+}
@@ -0,0 +1,51 @@
+//  Head: found for you, overridable, and with a neck when there’s no position.
+
+VRControllerTests.add( 'Head pose comes from the VR display', function( simulator, assert ){
+
+	var
+	head = THREE.VRController.head,
+	yaw  = new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 0, 1, 0 ), Math.PI / 2 ),
+	pose = { orientation: yaw.toArray(), position: [ 0, 1.6, 0 ]},
+	camera = new THREE.Object3D(),
+	controller, before
+
+	THREE.VRController.vrDisplay = { getPose: function(){ return pose }}
+	try {
+
+		simulator.connect( 'Daydream Controller', { dof: 3 })
+		THREE.VRController.update()
+		controller = THREE.VRController.controllers[ 0 ]
+		assert.close( head.position.y, 1.6, 1e-6, 'no controller.head = camera needed' )
+		assert.close( head.quaternion.y, yaw.y, 1e-6 )
+		assert.equal( head.hasPosition, true )
+		assert.ok( new THREE.Vector3().setFromMatrixPosition( controller.matrix ).y > 1, 'the arm hangs off that head' )
+
+
+		//  Orientation only? The neck model swings the eyes around.
+
+		pose.position = null
+		THREE.VRController.update()
+		assert.equal( head.hasPosition, false )
+		assert.close( head.position.x, -0.08, 1e-6, 'looking left moves the eyes left' )
+		assert.close( head.position.y, 0, 1e-6 )
+		assert.close( head.position.z, 0.08, 1e-6 )
+
+
+		//  You can still bring your own.
+
+		camera.position.set( 0, 10, 0 )
+		controller.head = camera
+		before = head.position.clone()
+		THREE.VRController.update()
+		assert.equal( controller.getHead(), camera )
+		assert.ok( new THREE.Vector3().setFromMatrixPosition( controller.matrix ).y > 9, 'controller.head wins' )
+		assert.close( head.position.distanceTo( before ), 0, 1e-6 )
+	}
+	finally {
+
+		THREE.VRController.vrDisplay = undefined
+		head.position.set( 0, 0, 0 )
+		head.quaternion.set( 0, 0, 0, 1 )
+		head.hasPosition = false
+	}
+})
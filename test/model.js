@@ -0,0 +1,44 @@
+//  Model: a stand-in for your artwork that moves with your fingers.
+
+VRControllerTests.add( 'Procedural models follow buttons and axes', function( simulator, assert ){
+
+	var
+	right = simulator.connect( 'Oculus Touch (Right)', { index: 0 }),
+	controller, model, leftModel, trigger, stick, A, X
+
+	function getPart( model, name ){
+
+		return model.parts.find( function( part ){ return part.name === name })
+	}
+	simulator.connect( 'Oculus Touch (Left)', { index: 1 })
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	model = new THREE.VRController.Model( controller )
+	leftModel = new THREE.VRController.Model( THREE.VRController.controllers[ 1 ])
+	assert.equal( controller.model, model )
+	assert.equal( model.parent, controller )
+	trigger = getPart( model, 'trigger' )
+	stick = getPart( model, 'thumbstick' )
+	A = getPart( model, 'A' )
+	X = getPart( leftModel, 'X' )
+	assert.ok( trigger !== undefined && stick !== undefined && A !== undefined, 'built for its style' )
+	assert.equal( getPart( model, 'X' ), undefined, 'only buttons it has' )
+	assert.close( X.holder.position.x, -A.holder.position.x, 1e-6, 'mirrored for the left hand' )
+
+
+	//  Pull, tilt, touch.
+
+	right.press( 'trigger' ).touch( 'A' ).setAxes( 'thumbstick', [ 1, 0 ])
+	THREE.VRController.update()
+	assert.close( trigger.mesh.rotation.x, trigger.angle, 1e-6, 'trigger pulled' )
+	assert.equal( trigger.mesh.material.color.getHex(), model.pressColor.getHex())
+	assert.ok( stick.mesh.rotation.z < 0, 'stick tilted' )
+	assert.equal( A.mesh.material.color.getHex(), model.touchColor.getHex())
+	right.release( 'trigger' ).untouch( 'A' )
+	THREE.VRController.update()
+	assert.equal( trigger.mesh.rotation.x, 0 )
+	assert.equal( A.mesh.material.color.getHex(), model.buttonColor.getHex())
+	model.dispose()
+	assert.equal( model.parent, null )
+	assert.equal( controller.model, undefined )
+})
@@ -0,0 +1,106 @@
+//  Motion: smoothing out the jitter and looking ahead of the lag.
+
+VRControllerTests.add( 'Smoothing calms jitter but keeps the raw pose', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	controller, position, i
+
+	gamepad.setPose([ 0, 1, 0 ], [ 0, 0, 0, 1 ])
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.smoothing.enabled = true
+	position = new THREE.Vector3()
+	for( i = 0; i < 20; i ++ ){
+
+		gamepad.setPose([ i % 2 ? 0.01 : -0.01, 1, 0 ])
+		simulator.advance( 10 )
+		THREE.VRController.update()
+	}
+	position.setFromMatrixPosition( controller.matrix )
+	assert.close( controller.rawPosition.x, 0.01, 1e-6, 'raw pose is as tracked' )
+	assert.ok( Math.abs( position.x ) < 0.005, 'jitter is damped' )
+	for( i = 0; i < 50; i ++ ){
+
+		gamepad.setPose([ 0.5, 1, 0 ])
+		simulator.advance( 10 )
+		THREE.VRController.update()
+	}
+	position.setFromMatrixPosition( controller.matrix )
+	assert.close( position.x, 0.5, 1e-3, 'but it still gets where it’s going' )
+})
+
+VRControllerTests.add( 'Prediction leads a steady swing', function( simulator, assert ){
+
+	function angleBetween( a, b ){
+
+		return 2 * Math.acos( Math.min( 1, Math.abs( a.dot( b ))))
+	}
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	quaternion = new THREE.Quaternion(),
+	up = new THREE.Vector3( 0, 1, 0 ),
+	controller, predicted, position, i
+
+	gamepad.setPose([ 0, 1, 0 ], [ 0, 0, 0, 1 ])
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.prediction.enabled = true
+	for( i = 1; i <= 10; i ++ ){
+
+		quaternion.setFromAxisAngle( up, i * 0.01 )
+		gamepad.setPose([ i * 0.01, 1, 0 ], quaternion )
+		simulator.advance( 10 )
+		THREE.VRController.update()
+	}
+
+
+	//  One metre and one radian per second, so 20 milliseconds ahead
+	//  puts us 2 centimetres and 0.02 radians further along.
+
+	predicted = controller.getPredictedPose( simulator.time + 20 )
+	assert.close( predicted.position.x, 0.12, 1e-6 )
+	assert.close( angleBetween( predicted.quaternion, quaternion ), 0.02, 1e-6 )
+	assert.close( angleBetween( predicted.quaternion, new THREE.Quaternion()), 0.12, 1e-6, 'turning the same way' )
+	position = new THREE.Vector3().setFromMatrixPosition( controller.matrix )
+	assert.close( position.x, 0.1 + controller.prediction.horizon / 1000, 1e-6, 'the controller is drawn ahead' )
+	assert.close( controller.rawPosition.x, 0.1, 1e-6, 'while the raw pose is as tracked' )
+	predicted = controller.getPredictedPose( simulator.time + 1000 )
+	assert.close( predicted.position.x, 0.1 + controller.prediction.maxHorizon / 1000, 1e-6, 'but never too far' )
+})
+
+VRControllerTests.add( 'Pose history interpolates between samples', function( simulator, assert ){
+
+	var
+	history = new THREE.VRController.PoseHistory( 10 ),
+	up = new THREE.Vector3( 0, 1, 0 ),
+	turned = new THREE.Quaternion(),
+	pose, i
+
+
+	//  Two metres and one radian per second, sampled every 10 milliseconds.
+
+	for( i = 0; i <= 4; i ++ ){
+
+		history.push( i * 10, new THREE.Vector3( i * 0.02, 0, 0 ), new THREE.Quaternion().setFromAxisAngle( up, i * 0.01 ))
+	}
+	pose = history.getPoseAt( 25 )
+	assert.equal( pose.time, 25 )
+	assert.close( pose.position.x, 0.05, 1e-6, 'half way between samples' )
+	assert.close( pose.quaternion.y, turned.setFromAxisAngle( up, 0.025 ).y, 1e-6 )
+	assert.close( history.getPoseAt( -100 ).position.x, 0, 1e-6, 'oldest before that' )
+	assert.close( history.getPoseAt( 100 ).position.x, 0.08, 1e-6, 'newest after that' )
+	assert.close( history.getLinearVelocity().x, 2, 1e-6 )
+	assert.close( history.getAngularVelocity().y, 1, 1e-4 )
+	assert.close( history.getLinearAcceleration().length(), 0, 1e-6, 'steady' )
+
+
+	//  Shrinking keeps the newest samples.
+
+	history.setLength( 2 )
+	assert.equal( history.size, 2 )
+	assert.equal( history.get( 1 ).time, 30 )
+	assert.close( history.getPoseAt( 0 ).position.x, 0.06, 1e-6 )
+	assert.throws( function(){ history.setLength( 1 )}, /at least 2/ )
+})
@@ -0,0 +1,49 @@
+
+
+
+
+//  Recording and replaying sessions.
+
+VRControllerTests.add( 'Recorded sessions replay the same button events', function( simulator, assert ){
+
+	var
+	gamepad  = simulator.connect( 'Oculus Touch (Left)' ),
+	recorder = new THREE.VRController.Recorder().start(),
+	events   = [],
+	player, controller
+
+	THREE.VRController.update()
+	simulator.advance( 10 )
+	gamepad.press( 'trigger' )
+	THREE.VRController.update()
+	simulator.advance( 10 )
+	gamepad.release( 'trigger' )
+	THREE.VRController.update()
+	recorder.stop()
+
+
+	//  Forget everything we saw, then play it all back a frame at a time.
+
+	THREE.VRController.onGamepadDisconnect( gamepad )
+	THREE.VRController.controllers.length = 0
+	player = new THREE.VRController.Player( JSON.stringify( recorder ))
+	try {
+
+		player.step()
+		THREE.VRController.update()
+		controller = THREE.VRController.controllers[ 0 ]
+		assert.equal( controller.gamepad.id, 'Oculus Touch (Left)' )
+		controller.addEventListener( 'trigger press began', function(){ events.push( 'began' )})
+		controller.addEventListener( 'trigger press ended', function(){ events.push( 'ended' )})
+		while( !player.isFinished()){
+
+			player.step()
+			THREE.VRController.update()
+		}
+		assert.equal( events.join( ', ' ), 'began, ended' )
+	}
+	finally {
+
+		player.stop()
+	}
+})
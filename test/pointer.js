@@ -0,0 +1,45 @@
+//  Pointer: hover, press, and let go over whatever you’re aiming at.
+
+VRControllerTests.add( 'Pointer hovers and clicks', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	box = new THREE.Mesh( new THREE.BoxGeometry( 1, 1, 1 ), new THREE.MeshBasicMaterial()),
+	events = [],
+	controller, pointer
+
+	box.position.set( 0, 1, -3 )
+	box.updateMatrixWorld()
+	;[ 'pointer enter', 'pointer leave', 'pointer down', 'pointer up' ].forEach( function( type ){
+
+		box.addEventListener( type, function( event ){ events.push( event ) })
+	})
+	gamepad.setPose([ 0, 1, 0 ], [ 0, 0, 0, 1 ])
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	pointer = new THREE.VRController.Pointer( controller, { objects: [ box ]})
+	THREE.VRController.update()
+	assert.equal( events.length, 1 )
+	assert.equal( events[ 0 ].type, 'pointer enter' )
+	assert.equal( events[ 0 ].controller, controller )
+	assert.close( events[ 0 ].distance, 2.5, 1e-6, 'hits the near face' )
+	assert.close( pointer.reticle.position.z, -2.5, 1e-6, 'reticle sits on it' )
+	gamepad.press( 'primary' )
+	THREE.VRController.update()
+	assert.equal( events[ 1 ].type, 'pointer down' )
+
+
+	//  Drag off before letting go: 'pointer up' still goes to the box.
+
+	gamepad.setPose( undefined, new THREE.Quaternion().setFromAxisAngle( new THREE.Vector3( 0, 1, 0 ), Math.PI / 2 ))
+	THREE.VRController.update()
+	assert.equal( events[ 2 ].type, 'pointer leave' )
+	assert.equal( pointer.reticle.visible, false )
+	gamepad.release( 'primary' )
+	THREE.VRController.update()
+	assert.equal( events[ 3 ].type, 'pointer up' )
+	assert.equal( events[ 3 ].intersection, null, 'released elsewhere' )
+	assert.equal( events.length, 4 )
+	pointer.dispose()
+	assert.equal( controller.pointer, undefined )
+})
@@ -0,0 +1,33 @@
+
+
+
+
+//  The Simulator itself. If these fail, nothing else here means much.
+
+VRControllerTests.add( 'Simulator accepts generic button names on profiled devices', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Oculus Touch (Right)' ),
+	controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	gamepad.press( 'button_1' )
+	THREE.VRController.update()
+	assert.ok( controller.getButton( 'trigger' ).isPressed, 'button_1 is the trigger' )
+	assert.equal( gamepad.getButtonIndex( 'primary' ), 1 )
+})
+
+VRControllerTests.add( 'Simulator clock drives the connection event', function( simulator, assert ){
+
+	var detail
+
+	function onConnected( event ){ detail = event.detail }
+	window.addEventListener( 'vr controller connected', onConnected )
+	simulator.connect( 'Daydream Controller', { dof: 3 })
+	THREE.VRController.update()
+	assert.equal( detail, undefined, 'not before CONNECT_DELAY' )
+	simulator.advance( THREE.VRController.CONNECT_DELAY )
+	window.removeEventListener( 'vr controller connected', onConnected )
+	assert.equal( detail, THREE.VRController.controllers[ 0 ])
+})
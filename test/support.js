@@ -0,0 +1,106 @@
+
+
+
+
+//  Profiles: which one a gamepad gets, and what we make of it.
+
+VRControllerTests.add( 'Profiles tie in favour of the first built-in', function( simulator, assert ){
+
+	assert.equal( THREE.VRController.getSupported( 'htc-vive-focus-plus' ).buttons[ 1 ], 'grip' )
+	assert.equal( THREE.VRController.getSupported( 'htc-vive-focus' ).buttons[ 1 ], null )
+	assert.equal( THREE.VRController.getSupported( 'oculus-touch-v2', 'left' ).buttons[ 4 ], 'X' )
+	assert.equal( THREE.VRController.getSupported( 'oculus-touch' ).buttons.length, 7 )
+})
+
+VRControllerTests.add( 'Registered profiles win ties', function( simulator, assert ){
+
+	try {
+
+		THREE.VRController.registerProfile({
+
+			id:      'htc-vive-clone',
+			match:   { prefix: 'htc-vive' },
+			style:   'vive',
+			buttons: [ 'trigger', 'squeeze', 'thumbpad' ]
+		})
+		assert.equal( THREE.VRController.getSupported( 'htc-vive' ).buttons[ 1 ], 'squeeze' )
+		THREE.VRController.unregisterProfile( 'htc-vive-clone' )
+		assert.equal( THREE.VRController.getSupported( 'htc-vive' ).buttons[ 1 ], 'grip' )
+	}
+	finally {
+
+		THREE.VRController.unregisterProfile( 'htc-vive-clone' )
+	}
+})
+
+VRControllerTests.add( 'Controllers without buttons have no primary button', function( simulator, assert ){
+
+	simulator.connect( 'Buttonless Wonder', { buttons: 0 })
+	THREE.VRController.update()
+	assert.equal( THREE.VRController.controllers[ 0 ].getButton( 'primary' ), undefined )
+})
+
+VRControllerTests.add( 'Valve Index reports finger curl and grip force', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'OpenVR Knuckles', { hand: 'right' }),
+	names   = [ 'index finger', 'middle finger', 'ring finger', 'pinky finger', 'grip force' ],
+	changed = {},
+	controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	assert.equal( controller.style, 'index' )
+	names.forEach( function( name, i ){
+
+		controller.addEventListener( name +' axes changed', function( event ){ changed[ name ] = event.axes[ 0 ] })
+		gamepad.setAxes( name, [ 0.2 + i * 0.1 ])
+	})
+	THREE.VRController.update()
+	assert.close( changed[ 'index finger' ],  0.2 )
+	assert.close( changed[ 'middle finger' ], 0.3 )
+	assert.close( changed[ 'ring finger' ],   0.4 )
+	assert.close( changed[ 'pinky finger' ],  0.5 )
+	assert.close( changed[ 'grip force' ],    0.6 )
+	assert.close( gamepad.axes[ 8 ], 0.6, 1e-6, 'grip force is axis 8' )
+})
+
+VRControllerTests.add( 'Standard gamepads join only when asked', function( simulator, assert ){
+
+	var
+	gamepad = simulator.connect( 'Xbox 360 Controller (XInput STANDARD GAMEPAD)', { dof: 0 }),
+	began = 0,
+	detail, controller
+
+	function onConnected( event ){ detail = event.detail }
+	window.addEventListener( 'standard gamepad connected', onConnected )
+	try {
+
+		THREE.VRController.update()
+		assert.equal( THREE.VRController.controllers[ 0 ], undefined, 'ignored by default' )
+		THREE.VRController.includeStandardGamepads = true
+		THREE.VRController.update()
+		simulator.advance( THREE.VRController.CONNECT_DELAY )
+		controller = THREE.VRController.controllers[ 0 ]
+		assert.equal( detail, controller, 'announced as a standard gamepad' )
+		assert.equal( controller.style, 'gamepad' )
+		assert.equal( controller.dof, 0 )
+		controller.addEventListener( 'A press began', function(){ began ++ })
+		gamepad.press( 'A' )
+		gamepad.setAxes( 'left stick', [ 0, -0.5 ])
+		gamepad.setAxes( 'right stick', [ 0.05, 0.1 ])
+		THREE.VRController.update()
+		assert.equal( began, 1 )
+		assert.ok( controller.getAxes( 'left stick' )[ 1 ] < 0, 'up is negative' )
+		assert.equal( controller.getAxes( 'right stick' )[ 0 ], 0, 'drift stays inside the deadzone' )
+		assert.equal( controller.getAxes( 'right stick' )[ 1 ], 0 )
+		THREE.VRController.includeStandardGamepads = false
+		THREE.VRController.update()
+		assert.equal( THREE.VRController.controllers[ 0 ], undefined, 'gone once you change your mind' )
+	}
+	finally {
+
+		window.removeEventListener( 'standard gamepad connected', onConnected )
+		THREE.VRController.includeStandardGamepads = false
+	}
+})
@@ -0,0 +1,105 @@
+//  Tracking loss: freeze, hide, fade, or rest -- and back again.
+
+function connectTrackedController( simulator ){
+
+	var gamepad = simulator.connect( 'Oculus Touch (Right)' )
+
+	gamepad.setPose([ 0, 1, 0 ], [ 0, 0, 0, 1 ])
+	THREE.VRController.update()
+	return gamepad
+}
+function loseTracking( simulator, gamepad ){
+
+	gamepad.setPose( null, null )
+	simulator.advance( 10 )
+	THREE.VRController.update()
+}
+
+VRControllerTests.add( 'Tracking loss policy: freeze', function( simulator, assert ){
+
+	var
+	gamepad = connectTrackedController( simulator ),
+	controller = THREE.VRController.controllers[ 0 ],
+	i
+
+	controller.prediction.enabled = true
+	for( i = 1; i <= 5; i ++ ){
+
+		gamepad.setPose([ i * 0.02, 1, 0 ])
+		simulator.advance( 10 )
+		THREE.VRController.update()
+	}
+	loseTracking( simulator, gamepad )
+	assert.equal( controller.trackingState, 'untracked' )
+	assert.equal( controller.visible, true )
+	assert.close( controller.poseHistory.get( 0 ).position.x, 0.1, 1e-6, 'history repeats the pose as tracked, not as predicted' )
+	assert.close( controller.poseHistory.get( 0 ).position.x, controller.poseHistory.get( 1 ).position.x, 1e-6 )
+})
+
+VRControllerTests.add( 'Tracking loss policy: hide', function( simulator, assert ){
+
+	var
+	gamepad = connectTrackedController( simulator ),
+	controller = THREE.VRController.controllers[ 0 ]
+
+	controller.trackingLoss.policy = 'hide'
+	loseTracking( simulator, gamepad )
+	assert.equal( controller.visible, false, 'hidden' )
+	controller.trackingLoss.policy = 'freeze'
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.equal( controller.visible, true, 'shown again once the policy changes' )
+	controller.trackingLoss.policy = 'hide'
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.equal( controller.visible, false )
+	gamepad.setPose([ 0, 1, 0 ], [ 0, 0, 0, 1 ])
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.equal( controller.visible, true, 'shown again once tracked' )
+})
+
+VRControllerTests.add( 'Tracking loss policy: fade', function( simulator, assert ){
+
+	var
+	gamepad = connectTrackedController( simulator ),
+	controller = THREE.VRController.controllers[ 0 ],
+	material = new THREE.MeshBasicMaterial()
+
+	controller.add( new THREE.Mesh( new THREE.BoxGeometry( 1, 1, 1 ), material ))
+	controller.trackingLoss.policy = 'fade'
+	controller.trackingLoss.fadeDuration = 100
+	loseTracking( simulator, gamepad )
+	simulator.advance( 50 )
+	THREE.VRController.update()
+	assert.close( material.opacity, 0.5, 1e-6, 'half way there' )
+	assert.equal( material.transparent, true )
+	simulator.advance( 60 )
+	THREE.VRController.update()
+	assert.equal( controller.visible, false, 'faded out' )
+	gamepad.setPose([ 0, 1, 0 ], [ 0, 0, 0, 1 ])
+	simulator.advance( 10 )
+	THREE.VRController.update()
+	assert.equal( controller.visible, true )
+	assert.equal( material.opacity, 1, 'opacity restored' )
+	assert.equal( material.transparent, false )
+})
+
+VRControllerTests.add( 'Tracking loss policy: rest', function( simulator, assert ){
+
+	var
+	gamepad = connectTrackedController( simulator ),
+	controller = THREE.VRController.controllers[ 0 ],
+	head = controller.getHead(),
+	rest = controller.trackingLoss.restPosition,
+	position = new THREE.Vector3()
+
+	controller.trackingLoss.policy = 'rest'
+	head.quaternion.set( 0, 0, 0, 1 )
+	loseTracking( simulator, gamepad )
+	position.setFromMatrixPosition( controller.matrix )
+	assert.close( position.x, head.position.x + rest[ 0 ], 1e-6, 'down by your side' )
+	assert.close( position.y, head.position.y + rest[ 1 ], 1e-6 )
+	assert.close( position.z, head.position.z + rest[ 2 ], 1e-6 )
+	assert.equal( controller.visible, true )
+})
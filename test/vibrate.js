@@ -0,0 +1,163 @@
+
+
+
+
+//  Vibe channels: mixing, expiry, and the master volume.
+
+VRControllerTests.add( 'Idle vibe channels expire', function( simulator, assert ){
+
+	var controller
+
+	simulator.connect( 'Oculus Touch (Right)' )
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.setVibe( 'blip' ).set( 0.5 ).wait( 10 ).set( 0 )
+	simulator.advance( 1 )
+	THREE.VRController.update()
+	assert.ok( controller.vibeChannels.find( function( channel ){ return channel.name === 'blip' }), 'still busy' )
+	simulator.advance( 20 )
+	THREE.VRController.update()
+	simulator.advance( THREE.VRController.VIBE_CHANNEL_EXPIRY + 1 )
+	THREE.VRController.update()
+	assert.equal( controller.vibeChannels.find( function( channel ){ return channel.name === 'blip' }), undefined, 'expired' )
+	assert.equal( controller.vibeChannels.length, 1, 'default channel stays' )
+})
+
+VRControllerTests.add( 'Vibe channel settings survive expiry', function( simulator, assert ){
+
+	var gamepad = simulator.connect( 'Oculus Touch (Right)' ), controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.configureVibe( 'ambient', { gain: 0.5 })
+	simulator.advance( 1 )
+	THREE.VRController.update()
+	simulator.advance( THREE.VRController.VIBE_CHANNEL_EXPIRY + 1 )
+	THREE.VRController.update()
+	assert.equal( controller.vibeChannels.length, 1, 'expired' )
+	controller.setVibe( 'ambient' ).set( 0.8 )
+	simulator.advance( 1 )
+	THREE.VRController.update()
+	assert.close( gamepad.getLastPulse().value, 0.4, 1e-6, 'gain still applies' )
+})
+
+VRControllerTests.add( 'Master haptic volume is clamped', function( simulator, assert ){
+
+	var gamepad = simulator.connect( 'Oculus Touch (Right)' ), controller
+
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	try {
+
+		THREE.VRController.hapticVolume = 3
+		controller.setVibe( '' ).set( 0.5 )
+		simulator.advance( 1 )
+		THREE.VRController.update()
+		assert.close( gamepad.getLastPulse().value, 0.5, 1e-6, 'above 1' )
+		THREE.VRController.hapticVolume = -1
+		controller.setVibe( '' ).set( 0.6 )
+		simulator.advance( 1 )
+		THREE.VRController.update()
+		assert.close( gamepad.getLastPulse().value, 0, 1e-6, 'below 0' )
+	}
+	finally {
+
+		THREE.VRController.hapticVolume = 1
+	}
+})
+
+VRControllerTests.add( 'Failing haptic actuators are set aside', function( simulator, assert ){
+
+	var gamepad = simulator.connect( 'Oculus Touch (Right)', { actuators: 2 }), controller
+
+	gamepad.hapticActuators[ 0 ].pulse = function(){ throw new Error( 'Nope.' )}
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.setVibe( '' ).set( 0.5 )
+	simulator.advance( 1 )
+	THREE.VRController.update()
+	assert.equal( controller.failedHapticActuators.length, 1 )
+	assert.equal( controller.haptics.actuators, 1, 'one left' )
+	controller.setVibe( '' ).set( 0.7 )
+	simulator.advance( 1 )
+	THREE.VRController.update()
+	assert.close( gamepad.getLastPulse().value, 0.7, 1e-6, 'the other still works' )
+	assert.equal( controller.haptics.targets.indexOf( 1 ) > -1, true, 'keeps its number' )
+	controller.setVibe( '' ).set( 0 )
+	controller.setVibe( 'motor' ).actuator( 1 ).set( 0.3 )
+	simulator.advance( 1 )
+	THREE.VRController.update()
+	assert.equal( gamepad.getLastPulse().actuator, 1, 'actuator 1 is still actuator 1' )
+	assert.close( gamepad.getLastPulse().value, 0.3, 1e-6 )
+})
+
+VRControllerTests.add( 'AnalyserNodes are read once per update', function( simulator, assert ){
+
+	var
+	reads = 0,
+	node = {
+
+		fftSize: 4,
+		getFloatTimeDomainData: function( buffer ){
+
+			reads ++
+			buffer.fill( 0.5 )
+		}
+	},
+	controller
+
+	simulator.connect( 'Oculus Touch (Right)', { actuators: 2 })
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.setVibe( 'audio' ).analyser( node )
+
+
+	//  A real clock keeps ticking between actuators.
+
+	THREE.VRController.now = function(){ return simulator.time += 0.1 }
+	reads = 0
+	THREE.VRController.update()
+	assert.equal( reads, 1 )
+})
+
+VRControllerTests.add( 'Vibe patterns ramp, loop, stop, and bind to events', function( simulator, assert ){
+
+	var gamepad = simulator.connect( 'Oculus Touch (Right)' ), controller
+
+	function vibeAt( ms ){
+
+		simulator.advance( ms )
+		THREE.VRController.update()
+		return gamepad.getLastPulse().value
+	}
+	THREE.VRController.update()
+	controller = THREE.VRController.controllers[ 0 ]
+	controller.setVibe( 'ramp' ).set( 0 ).ramp( 1, 100 )
+	assert.close( vibeAt( 50 ), 0.5, 1e-6, 'interpolated, not stepped' )
+	controller.stopVibe( 'ramp' )
+	assert.equal( vibeAt( 1 ), 0, 'stopped' )
+
+
+	//  Heartbeats go on and on, well past their 900 millisecond duration.
+
+	controller.playVibe( 'heartbeat' )
+	assert.close( vibeAt( 40 ), 0.8, 1e-6 )
+	assert.close( vibeAt( 900 ), 0.8, 1e-6, 'beating again' )
+	controller.stopVibe( 'heartbeat' )
+	assert.equal( vibeAt( 1 ), 0, 'each pattern has a channel of its own' )
+	assert.throws( function(){ controller.playVibe( 'purr' )}, /unknown pattern "purr"/ )
+
+
+	//  And straight from events.
+
+	controller.bindVibe( 'trigger press began', 'click', { gain: 0.5 })
+	gamepad.press( 'trigger' )
+	vibeAt( 1 )
+	assert.close( vibeAt( 1 ), 0.3, 1e-6, 'clicked' )
+	gamepad.release( 'trigger' )
+	vibeAt( 100 )
+	controller.unbindVibe( 'trigger press began' )
+	gamepad.press( 'trigger' )
+	vibeAt( 1 )
+	assert.equal( vibeAt( 1 ), 0, 'unbound' )
+})
@@ -0,0 +1,100 @@
+//  WebXR: input sources come and go, and we keep up.
+
+function createXRInputSource( handedness ){
+
+	var buttons = [], i
+
+	for( i = 0; i < 6; i ++ ) buttons.push({ pressed: false, touched: false, value: 0 })
+	return {
+
+		handedness:     handedness,
+		profiles:       [ 'oculus-touch-v2', 'oculus-touch', 'generic-trigger-squeeze-thumbstick' ],
+		gripSpace:      {},
+		targetRaySpace: {},
+		gamepad: {
+
+			id:      '',
+			mapping: 'xr-standard',
+			buttons: buttons,
+			axes:    [ 0, 0, 0, 0 ],
+			hapticActuators: []
+		}
+	}
+}
+function createXRFrame( inputSources ){
+
+	var listeners = {}
+
+	return {
+
+		session: {
+
+			inputSources: inputSources,
+			addEventListener: function( type, listener ){ listeners[ type ] = listener },
+			end: function(){ listeners.end() }
+		},
+		getPose: function(){
+
+			return {
+
+				transform: {
+
+					position:    { x: 0, y: 1, z: -0.3 },
+					orientation: { x: 0, y: 0, z: 0, w: 1 }
+				},
+				emulatedPosition: false
+			}
+		}
+	}
+}
+
+VRControllerTests.add( 'WebXR input sources connect and disconnect', function( simulator, assert ){
+
+	var
+	left  = createXRInputSource( 'left' ),
+	right = createXRInputSource( 'right' ),
+	frame = createXRFrame([ left, right ]),
+	space = {},
+	disconnected = [],
+	began = 0,
+	controllers
+
+	try {
+
+		THREE.VRController.updateXR( frame, space )
+		controllers = THREE.VRController.controllers.slice()
+		assert.equal( controllers.length, 2 )
+		assert.equal( controllers[ 0 ].gamepad.id, 'oculus-touch-v2' )
+		assert.equal( controllers[ 0 ].getHandedness(), 'left' )
+		assert.equal( controllers[ 0 ].getButton( 4 ).name, 'X', 'left hand buttons' )
+		assert.equal( controllers[ 1 ].getButton( 4 ).name, 'A' )
+		assert.equal( controllers[ 1 ].dof, 6 )
+		assert.close( controllers[ 1 ].rawPosition.z, -0.3, 1e-6 )
+		controllers.forEach( function( controller ){
+
+			controller.addEventListener( 'disconnected', function(){ disconnected.push( controller ) })
+		})
+		controllers[ 1 ].addEventListener( 'trigger press began', function(){ began ++ })
+		right.gamepad.buttons[ 0 ].pressed = true
+		THREE.VRController.updateXR( frame, space )
+		assert.equal( began, 1, 'buttons work the same' )
+
+
+		//  Put one down and the other goes when the session ends.
+
+		frame.session.inputSources = [ left ]
+		THREE.VRController.updateXR( frame, space )
+		assert.equal( disconnected.length, 1 )
+		assert.equal( disconnected[ 0 ], controllers[ 1 ])
+		assert.equal( THREE.VRController.controllers[ 1 ], undefined )
+		frame.session.end()
+		assert.equal( disconnected.length, 2 )
+		assert.equal( THREE.VRController.controllers[ 0 ], undefined )
+		assert.equal( THREE.VRController.xrGamepads.size, 0 )
+	}
+	finally {
+
+		THREE.VRController.xrGamepads.clear()
+		THREE.VRController.xrSession = undefined
+	}
+})